@@ -6,17 +6,47 @@ class EpubToZipApp {
         this.nameProcessor = null;
         this.epubParser = null;
         this.zipGenerator = null;
+        this.pdfGenerator = null;
+        this.outputWriter = null;
+        this.pageAnalyzer = null;
+        this.imageTranscoder = null;
+        this.spreadProcessor = null;
         this.uiController = null;
+        this.previewGallery = null;
+        this.workerPool = null;
         
         // 应用状态
         this.isProcessing = false;
         this.processedResults = new Map(); // 存储处理结果
         this.currentTask = null;
+        this.scheduler = null; // 当前批次的任务调度器
+        this.batchState = null; // 当前批次的进度和中止控制器
+        this.outputDirectory = null; // 写入文件夹模式下当前批次的输出文件夹
+        this.previewCache = null; // 预览中的文件解析结果 {fileId, parseResult, pageFlags}
+        this.batchPageHashes = new Map(); // 文件ID -> {position: 批次开始时的顺序, hashes: Promise<{hash}[]>, pages: 已记录的页面, resolve}，用于跨书检测重复页
         
         // 配置
         this.config = {
             maxConcurrentTasks: 3,
             compressionLevel: 6,
+            outputFormat: 'zip', // 输出格式 (zip, cbz, pdf)
+            saveMode: 'download', // 保存方式 (download: 浏览器下载, directory: 直接写入文件夹)
+            nameTemplate: '{seq}.{ext}', // 输出文件名模板
+            sortSource: 'filename', // 排序依据 (filename: 仅文件名, metadata: EPUB系列信息优先)
+            groupBySeries: false, // 按系列分组编号
+            seriesFolders: false, // 分组时每个系列使用单独的子文件夹
+            coverMode: 'include', // 封面处理 (include: 作为第000页, exclude: 不包含, separate: 单独保存)
+            filterBlankPages: false, // 自动过滤空白页
+            filterDuplicatePages: false, // 自动过滤重复页（同一本书内及批次中之前的书）
+            splitSpreads: false, // 将横向跨页拆分为两页
+            readingDirection: 'auto', // 阅读方向 (auto: 按EPUB声明, ltr: 从左到右, rtl: 从右到左)，决定跨页左右顺序和漫画标记
+            reverseRtlPages: false, // 从右到左阅读的书倒序排列页面（供不支持右开本的阅读器使用）
+            chapterFolders: false, // 按目录章节把页面放入子文件夹（ZIP/CBZ）
+            renamePages: false, // 按阅读顺序把页面重命名为0001.jpg…，并写入对照表（ZIP/CBZ）
+            textExport: '', // 同时导出正文的格式 (空: 不导出, txt, md, html)，仅ZIP/CBZ输出
+            transcodeFormat: '', // 图片转换格式 (空: 保留原图, jpeg, webp, avif, png)
+            transcodeQuality: 85, // 有损格式的转换质量 (1-100)
+            useWorkers: true, // 在Web Worker中解析和打包
             enableDebugMode: false
         };
         
@@ -89,6 +119,35 @@ class EpubToZipApp {
         this.zipGenerator = new ZipGenerator();
         this.zipGenerator.setMaxConcurrentJobs(this.config.maxConcurrentTasks);
         this.zipGenerator.setCompressionLevel(this.config.compressionLevel);
+        this.nameProcessor.setOutputExtension(this.config.outputFormat);
+        this.nameProcessor.setNameTemplate(this.config.nameTemplate);
+        this.nameProcessor.setSortSource(this.config.sortSource);
+        this.nameProcessor.setSeriesGrouping(this.config.groupBySeries, this.config.seriesFolders);
+        
+        // 初始化PDF生成器
+        this.pdfGenerator = new PdfGenerator();
+        
+        // 初始化输出写入器（不支持File System Access API时只能下载）
+        this.outputWriter = new OutputWriter(this.zipGenerator, this.pdfGenerator);
+
+        // 初始化页面分析器
+        this.pageAnalyzer = new PageAnalyzer();
+
+        // 初始化图片格式转换器
+        this.imageTranscoder = new ImageTranscoder();
+
+        // 初始化跨页处理器
+        this.spreadProcessor = new SpreadProcessor();
+        this.uiController.setOptionChoiceEnabled('saveMode', 'directory', OutputWriter.supportsDirectoryOutput());
+        
+        // 初始化页面预览
+        this.previewGallery = new PreviewGallery();
+        
+        // 初始化Worker池（不支持Worker时回退到主线程处理）
+        if (this.config.useWorkers && WorkerPool.isSupported()) {
+            this.workerPool = new WorkerPool('js/epubWorker.js', this.config.maxConcurrentTasks);
+            this.workerPool.setXmlHost(this.epubParser);
+        }
         
         // 将实例暴露到全局，供HTML中的事件处理器使用
         window.fileHandler = this.fileHandler;
@@ -113,11 +172,57 @@ class EpubToZipApp {
             this.handleFilesCleared();
         });
 
+        this.fileHandler.on('orderChanged', () => {
+            this.refreshOutputNames();
+        });
+
+        this.fileHandler.on('previewRequested', (fileObj) => {
+            this.openPreview(fileObj.id);
+        });
+
+        // 页面预览事件
+        this.previewGallery.on('pageToggled', ({ fileId, path, excluded }) => {
+            this.fileHandler.setPageExcluded(fileId, path, excluded);
+        });
+
+        this.previewGallery.on('spreadToggled', ({ fileId, path, merged }) => {
+            this.fileHandler.setSpreadStart(fileId, path, merged);
+        });
+
+        this.previewGallery.on('closed', () => {
+            // 释放预览时解析出的图片
+            this.previewCache = null;
+        });
+
         // UI控制器事件
         this.uiController.on('startProcessing', () => {
             this.startProcessing();
         });
 
+        this.uiController.on('optionsChanged', (event) => {
+            this.setConfig(event.detail);
+        });
+
+        this.uiController.on('retryFailed', () => {
+            this.retryFailedFiles();
+        });
+
+        this.uiController.on('pauseProcessing', () => {
+            this.pauseProcessing();
+        });
+
+        this.uiController.on('resumeProcessing', () => {
+            this.resumeProcessing();
+        });
+
+        this.uiController.on('cancelProcessing', () => {
+            this.cancelProcessing();
+        });
+
+        this.uiController.on('cancelFile', (event) => {
+            this.cancelFile(event.detail);
+        });
+
         this.uiController.on('downloadAll', () => {
             this.downloadAllResults();
         });
@@ -126,6 +231,10 @@ class EpubToZipApp {
             this.downloadSingleResult(event.detail);
         });
 
+        this.uiController.on('previewResult', (event) => {
+            this.openPreview(event.detail);
+        });
+
         // 全局错误处理
         window.addEventListener('error', (event) => {
             Utils.handleError(event.error, '全局错误');
@@ -148,6 +257,9 @@ class EpubToZipApp {
             // 更新文件处理器中的输出名称
             this.fileHandler.updateOutputNames(nameMapping);
             
+            // 同步输出选项
+            this.uiController.setOptionValues(this.config);
+            
             // 显示文件列表和控制区域
             this.uiController.showFileListSection(true);
             this.uiController.showControlSection(true);
@@ -157,11 +269,33 @@ class EpubToZipApp {
                 this.uiController.scrollToSection('fileListSection');
             }, 300);
             
+            // 文件名模板或排序用到元数据时，读取后重新生成输出名称
+            await this.loadFileMetadata(files);
+            
         } catch (error) {
             Utils.handleError(error, '处理文件添加');
         }
     }
 
+    /**
+     * 读取输出文件名模板和系列排序需要的EPUB元数据，完成后刷新输出名称
+     * @param {object[]} files - 文件对象数组
+     */
+    async loadFileMetadata(files) {
+        if (!this.nameProcessor.needsMetadata()) return;
+
+        const pendingFiles = files.filter(fileObj => !fileObj.metadata);
+        if (pendingFiles.length === 0) return;
+
+        // 逐个读取，避免同时把多个EPUB载入内存
+        for (const fileObj of pendingFiles) {
+            const metadata = await this.readFileMetadata(fileObj);
+            this.fileHandler.updateFileMetadata(fileObj.id, metadata);
+        }
+
+        this.refreshOutputNames();
+    }
+
     /**
      * 处理文件移除事件
      * @param {object} fileObj - 文件对象
@@ -169,6 +303,10 @@ class EpubToZipApp {
     handleFileRemoved(fileObj) {
         // 从处理结果中移除
         this.processedResults.delete(fileObj.id);
+
+        if (this.previewGallery.fileId === fileObj.id) {
+            this.previewGallery.close();
+        }
         
         // 如果没有文件了，隐藏相关区域
         if (this.fileHandler.getFileCount() === 0) {
@@ -185,6 +323,7 @@ class EpubToZipApp {
     handleFilesCleared() {
         // 清空处理结果
         this.processedResults.clear();
+        this.previewGallery.close();
         
         // 重置名称处理器
         this.nameProcessor.reset();
@@ -202,31 +341,92 @@ class EpubToZipApp {
             return;
         }
 
-        const files = this.fileHandler.getAllFiles();
+        const files = this.fileHandler.getOrderedFiles();
         if (files.length === 0) {
             Utils.showNotification('请先选择EPUB文件', 'warning');
             return;
         }
 
+        await this.runBatch(files);
+    }
+
+    /**
+     * 只重新处理失败的文件，已成功的结果保留
+     */
+    async retryFailedFiles() {
+        if (this.isProcessing) {
+            Utils.showNotification('正在处理中，请稍候...', 'warning');
+            return;
+        }
+
+        const failedFiles = this.getFailedFiles();
+        if (failedFiles.length === 0) {
+            Utils.showNotification('没有需要重试的文件', 'info');
+            return;
+        }
+
+        await this.runBatch(failedFiles, { retry: true });
+    }
+
+    /**
+     * 获取处理失败的文件
+     * @returns {object[]} 文件对象数组
+     */
+    getFailedFiles() {
+        return this.fileHandler.getOrderedFiles().filter(fileObj => fileObj.status === 'error');
+    }
+
+    /**
+     * 执行一个处理批次
+     * @param {object[]} files - 要处理的文件
+     * @param {object} options - 选项 {retry: 是否为重试批次，保留其他文件的进度项}
+     */
+    async runBatch(files, options = {}) {
+        // 写入文件夹模式需要先选择输出文件夹（必须在点击事件中直接调用）
+        let outputDirectory = null;
+        if (this.config.saveMode === 'directory') {
+            try {
+                outputDirectory = await this.pickOutputDirectory();
+            } catch (error) {
+                if (!Utils.isAbortError(error)) {
+                    Utils.handleError(error, '选择输出文件夹');
+                }
+                return;
+            }
+        }
+
         try {
             this.isProcessing = true;
+            this.outputDirectory = outputDirectory;
             
             // 更新UI状态
             this.uiController.updateProcessButton('processing', '处理中...');
+            this.uiController.showRetryButton(0);
             this.uiController.showProgressSection(true);
-            this.uiController.clearFileProgressList();
             this.uiController.clearResultList();
+
+            if (options.retry) {
+                // 重试时只重置失败文件的进度项
+                files.forEach(fileObj => {
+                    this.uiController.updateFileProgressItem(fileObj.id, 'waiting');
+                });
+            } else {
+                this.uiController.clearFileProgressList();
+                this.batchPageHashes = new Map();
+
+                // 初始化进度显示
+                files.forEach(fileObj => {
+                    this.uiController.addFileProgressItem(fileObj.id, fileObj.name, 'waiting');
+                });
+            }
             
+            this.preparePageHashes(files);
+
             // 滚动到进度区域
             setTimeout(() => {
                 this.uiController.scrollToSection('progressSection');
             }, 300);
 
-            // 初始化进度显示
-            files.forEach(fileObj => {
-                this.uiController.addFileProgressItem(fileObj.id, fileObj.name, 'waiting');
-            });
-
             // 开始批量处理
             await this.processBatch(files);
             
@@ -238,93 +438,809 @@ class EpubToZipApp {
             this.handleProcessingError(error);
         } finally {
             this.isProcessing = false;
+            this.batchState = null;
+            this.outputDirectory = null;
+            this.uiController.updateProgressControls('hidden');
             this.uiController.updateProcessButton('normal', '开始处理');
+            this.uiController.showRetryButton(this.getFailedFiles().length);
+        }
+    }
+
+    /**
+     * 让用户选择输出文件夹
+     * @returns {Promise<FileSystemDirectoryHandle|null>} 文件夹句柄，浏览器不支持时返回null（改为下载）
+     */
+    async pickOutputDirectory() {
+        if (!OutputWriter.supportsDirectoryOutput()) {
+            Utils.showNotification('当前浏览器不支持直接写入文件夹，将改为下载', 'warning');
+            return null;
+        }
+
+        return window.showDirectoryPicker({ mode: 'readwrite' });
+    }
+
+    /**
+     * 检查文件夹中是否已有同名文件
+     * @param {FileSystemDirectoryHandle} directory - 文件夹
+     * @param {string} name - 文件名
+     * @returns {Promise<boolean>} 是否存在
+     */
+    async hasFileEntry(directory, name) {
+        try {
+            await directory.getFileHandle(name);
+            return true;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    /**
+     * 删除文件夹中的文件（删除失败时只记录警告）
+     * @param {FileSystemDirectoryHandle} directory - 文件夹
+     * @param {string} name - 文件名
+     */
+    async removeFileEntry(directory, name) {
+        try {
+            await directory.removeEntry(name);
+        } catch (error) {
+            console.warn(`删除未完成的输出文件失败 ${name}:`, error);
         }
     }
 
     /**
      * 批量处理文件
+     * 最多同时处理 config.maxConcurrentTasks 个文件
      * @param {object[]} files - 文件数组
      */
     async processBatch(files) {
-        const totalFiles = files.length;
-        let completedFiles = 0;
-        let successfulFiles = 0;
+        // 批次状态：进度计数和每个文件的中止控制器
+        this.batchState = {
+            total: files.length,
+            completed: 0,
+            successful: 0,
+            cancelled: 0,
+            controllers: new Map(files.map(fileObj => [fileObj.id, new AbortController()]))
+        };
 
         // 更新整体进度
-        this.uiController.updateOverallProgress(0, totalFiles, `0 / ${totalFiles}`);
+        this.updateBatchProgress();
+        this.uiController.updateProgressControls('running');
 
-        // 逐个处理文件
-        for (const fileObj of files) {
-            try {
-                // 更新文件状态为处理中
-                this.uiController.updateFileProgressItem(fileObj.id, 'processing', '正在解析EPUB...');
-                this.fileHandler.updateFileStatus(fileObj.id, 'processing');
+        this.scheduler = new TaskScheduler(this.config.maxConcurrentTasks);
 
-                // 解析EPUB文件
-                const parseResult = await this.epubParser.parseEpub(fileObj.file);
-                
+        await Promise.all(files.map(fileObj => this.scheduler.add(async () => {
+            const signal = this.batchState.controllers.get(fileObj.id).signal;
+            const status = await this.processFile(fileObj, signal);
+
+            // 更新整体进度
+            this.batchState.completed++;
+            if (status === 'completed') {
+                this.batchState.successful++;
+            } else if (status === 'cancelled') {
+                this.batchState.cancelled++;
+            }
+            this.updateBatchProgress();
+
+            // 主线程处理时短暂延迟，避免阻塞UI
+            if (!this.workerPool && status !== 'cancelled') {
+                await Utils.delay(50);
+            }
+        })));
+
+        this.scheduler = null;
+        this.uiController.updateProgressControls('hidden');
+
+        // 取消时未开始的文件也要结束等待
+        files.forEach(fileObj => this.settlePageHashes(fileObj.id));
+
+        // 并发完成顺序不固定，按输出文件名重新排列结果
+        this.sortProcessedResults();
+    }
+
+    /**
+     * 更新批次整体进度显示
+     */
+    updateBatchProgress() {
+        const { total, completed, successful, cancelled } = this.batchState;
+        const isPaused = this.scheduler ? this.scheduler.isPaused : false;
+
+        let text = `${completed} / ${total} (成功: ${successful}`;
+        if (cancelled > 0) {
+            text += `, 已取消: ${cancelled}`;
+        }
+        text += ')';
+        if (isPaused) {
+            text += ' - 已暂停';
+        }
+
+        this.uiController.updateOverallProgress(completed, total, text);
+    }
+
+    /**
+     * 处理单个文件：解析EPUB并生成ZIP
+     * @param {object} fileObj - 文件对象
+     * @param {AbortSignal} signal - 中止信号
+     * @returns {Promise<string>} 处理状态 (completed, error, cancelled)
+     */
+    async processFile(fileObj, signal) {
+        let createdOutput = null; // 本次新建的输出文件 {directory, name}，失败或取消时删除
+
+        try {
+            if (signal && signal.aborted) {
+                throw Utils.createAbortError();
+            }
+
+            // 更新文件状态为处理中
+            this.uiController.updateFileProgressItem(fileObj.id, 'processing', '正在解析EPUB...');
+            this.fileHandler.updateFileStatus(fileObj.id, 'processing');
+
+            // 解析EPUB文件（刚预览过的文件直接使用预览时的解析结果，除非还需要提取正文）
+            const usePreview = this.previewCache && this.previewCache.fileId === fileObj.id &&
+                (this.previewCache.parseResult.chapters || !this.needsTextExtraction());
+            const parseResult = usePreview
+                ? this.previewCache.parseResult
+                : await this.parseFile(fileObj, (progress) => {
+                    this.uiController.updateFileProgressItem(fileObj.id, 'processing', this.getProgressText(progress));
+                }, signal);
+            
+            if (!parseResult.success) {
+                throw new Error(parseResult.error || '解析失败');
+            }
+
+            if (parseResult.images.length === 0) {
+                throw new Error('未找到图片文件');
+            }
+
+            // 按封面设置调整页面
+            const { pages, cover } = this.arrangeCover(parseResult.images);
+            if (pages.length === 0) {
+                throw new Error('除封面外没有其他图片');
+            }
+
+            // 按设置分析空白页和重复页
+            const pageFlags = this.needsPageAnalysis()
+                ? await this.analyzePages(fileObj, pages, (progress) => {
+                    this.uiController.updateFileProgressItem(fileObj.id, 'processing', this.getProgressText(progress));
+                }, signal, true)
+                : {};
+
+            // 预览中取消选择的页面和自动过滤的页面不写入输出文件
+            const { excludedPages, filtered } = this.resolveExcludedPages(fileObj, pageFlags);
+            const selectedPages = this.zipGenerator.filterExcludedPages(pages, excludedPages);
+            if (selectedPages.length === 0) {
+                throw new Error('所有页面都已取消选择');
+            }
+
+            // 拆分横向跨页、合并预览中标记的半页
+            const readingDirection = this.resolveReadingDirection(parseResult);
+            let outputPages = selectedPages;
+            let spreadStats = null;
+            if (this.needsSpreadProcessing(fileObj)) {
+                const processed = await this.processSpreads(fileObj, selectedPages, readingDirection, (progress) => {
+                    this.uiController.updateFileProgressItem(fileObj.id, 'processing', this.getProgressText(progress));
+                }, signal);
+                outputPages = processed.images;
+                spreadStats = processed.stats;
+            }
+
+            // 按设置倒序排列从右到左阅读的书
+            const ordered = this.arrangeReadingOrder(outputPages, readingDirection);
+            const reversed = ordered.reversed;
+            outputPages = ordered.pages;
+
+            // 按设置转换图片格式（单独保存的封面一并转换）
+            let outputCover = cover;
+            let transcodeStats = null;
+            if (this.config.transcodeFormat) {
+                const pageCount = outputPages.length;
+                const transcoded = await this.transcodeImages(cover ? [...outputPages, cover] : outputPages, (progress) => {
+                    this.uiController.updateFileProgressItem(fileObj.id, 'processing', this.getProgressText(progress));
+                }, signal);
+                outputPages = transcoded.images.slice(0, pageCount);
+                outputCover = cover ? transcoded.images[pageCount] : null;
+                transcodeStats = transcoded.stats;
+            }
+
+            // 更新状态
+            this.uiController.updateFileProgressItem(fileObj.id, 'processing', this.config.outputFormat === 'pdf' ? '正在生成PDF...' : '正在生成ZIP...');
+
+            // 写入文件夹模式下直接写入目标文件，不在内存中保留输出
+            const packOptions = {
+                metadata: parseResult.metadata,
+                excludedPages,
+                readingDirection: ordered.outputDirection,
+                chapterFolders: this.config.chapterFolders,
+                renamePages: this.config.renamePages
+            };
+            if (this.needsTextExtraction()) {
+                packOptions.textChapters = parseResult.chapters;
+                packOptions.textFormat = this.config.textExport;
+            }
+            let targetDirectory = null;
+            if (this.outputDirectory) {
+                targetDirectory = fileObj.outputFolder
+                    ? await this.outputDirectory.getDirectoryHandle(fileObj.outputFolder, { create: true })
+                    : this.outputDirectory;
+                const existed = await this.hasFileEntry(targetDirectory, fileObj.outputName);
+                packOptions.fileHandle = await targetDirectory.getFileHandle(fileObj.outputName, { create: true });
+                if (!existed) {
+                    createdOutput = { directory: targetDirectory, name: fileObj.outputName };
+                }
+            }
+
+            // 生成输出文件
+            const output = await this.packImages(
+                outputPages,
+                fileObj.outputName,
+                (progress) => {
+                    this.uiController.updateFileProgressItem(fileObj.id, 'processing', this.getProgressText(progress));
+                },
+                signal,
+                packOptions
+            );
+
+            const coverOutput = outputCover ? await this.saveCover(outputCover, fileObj.outputName, targetDirectory) : null;
+
+            // 保存处理结果
+            const result = {
+                fileId: fileObj.id,
+                fileName: fileObj.outputName,
+                folder: fileObj.outputFolder || '',
+                originalName: fileObj.name,
+                blob: output.savedToDisk ? null : output,
+                size: output.size,
+                savedToDisk: !!output.savedToDisk,
+                compressionStats: this.config.outputFormat === 'pdf'
+                    ? null
+                    : this.zipGenerator.getCompressionStats(outputPages, output),
+                transcodeStats,
+                spreadStats,
+                imageCount: outputPages.length,
+                excludedPages: pages.length - selectedPages.length,
+                filteredPages: filtered,
+                cover: coverOutput,
+                unreferencedImages: outputPages.filter(image => image.unreferenced).length,
+                readingOrder: parseResult.readingOrder,
+                discoveryStrategy: parseResult.discoveryStrategy,
+                readingDirection,
+                reversed,
+                textChapters: packOptions.textChapters ? packOptions.textChapters.length : 0,
+                renamedPages: this.config.renamePages && this.config.outputFormat !== 'pdf',
+                chapterFolders: this.config.chapterFolders && this.config.outputFormat !== 'pdf'
+                    ? new Set(outputPages.filter(page => !page.unreferenced && page.chapterIndex !== null).map(page => page.chapterIndex)).size
+                    : null,
+                rendition: parseResult.rendition,
+                metadata: parseResult.metadata,
+                success: true
+            };
+
+            this.processedResults.set(fileObj.id, result);
+
+            // 更新状态为完成
+            this.uiController.updateFileProgressItem(fileObj.id, 'completed', '处理完成');
+            this.fileHandler.updateFileStatus(fileObj.id, 'completed');
+            
+            return 'completed';
+
+        } catch (error) {
+            // 删除未写完的输出文件，避免被当成处理结果（已存在的同名文件在可写流关闭前不会被覆盖）
+            if (createdOutput) {
+                await this.removeFileEntry(createdOutput.directory, createdOutput.name);
+            }
+
+            if (Utils.isAbortError(error)) {
+                this.uiController.updateFileProgressItem(fileObj.id, 'cancelled', '已取消');
+                this.fileHandler.updateFileStatus(fileObj.id, 'cancelled');
+                return 'cancelled';
+            }
+
+            console.error(`处理文件失败 ${fileObj.name}:`, error);
+            
+            // 更新状态为错误
+            this.uiController.updateFileProgressItem(fileObj.id, 'error', error.message);
+            this.fileHandler.updateFileStatus(fileObj.id, 'error', { error: error.message });
+
+            return 'error';
+        } finally {
+            // 失败、取消或未分析页面时也结束等待，排在后面的书才能继续检测重复页
+            this.settlePageHashes(fileObj.id);
+        }
+    }
+
+    /**
+     * 打开页面预览：解析EPUB并按输出顺序显示页面
+     * @param {string} fileId - 文件ID
+     */
+    async openPreview(fileId) {
+        const fileObj = this.fileHandler.getFileById(fileId);
+        if (!fileObj) {
+            Utils.showNotification('找不到指定的文件', 'error');
+            return;
+        }
+
+        this.previewGallery.showLoading(fileId, fileObj.name);
+
+        try {
+            const updateStatus = (progress) => {
+                this.previewGallery.setStatus(this.getProgressText(progress));
+            };
+
+            if (!this.previewCache || this.previewCache.fileId !== fileId) {
+                const parseResult = await this.parseFile(fileObj, updateStatus);
                 if (!parseResult.success) {
                     throw new Error(parseResult.error || '解析失败');
                 }
+                this.previewCache = { fileId, parseResult, pageFlags: null };
+            }
 
-                if (parseResult.images.length === 0) {
-                    throw new Error('未找到图片文件');
-                }
+            // 按封面设置排列，与输出文件中的页序一致
+            const { pages } = this.arrangeCover(this.previewCache.parseResult.images);
+            if (pages.length === 0) {
+                throw new Error('未找到图片文件');
+            }
 
-                // 更新状态
-                this.uiController.updateFileProgressItem(fileObj.id, 'processing', '正在生成ZIP...');
-
-                // 生成ZIP文件
-                const zipBlob = await this.zipGenerator.generateZipFromImages(
-                    parseResult.images,
-                    fileObj.outputName,
-                    (progress) => {
-                        const statusText = progress.status === 'compressing' 
-                            ? `压缩中... ${Math.round(progress.percent || 0)}%`
-                            : '添加文件中...';
-                        this.uiController.updateFileProgressItem(fileObj.id, 'processing', statusText);
-                    }
-                );
+            // 启用页面过滤时标记空白页和重复页
+            if (this.needsPageAnalysis() && !this.previewCache.pageFlags) {
+                this.previewCache.pageFlags = await this.analyzePages(fileObj, pages, updateStatus);
+            }
+            const pageFlags = this.needsPageAnalysis() ? this.previewCache.pageFlags : {};
+            const { excludedPages } = this.resolveExcludedPages(fileObj, pageFlags);
+
+            this.previewGallery.showPages(fileId, pages, excludedPages, pageFlags, fileObj.spreadPages);
+        } catch (error) {
+            console.error(`预览文件失败 ${fileObj.name}:`, error);
+            this.previewGallery.showError(error.message || '预览失败');
+        }
+    }
+
+    /**
+     * 是否需要分析页面（启用了空白页或重复页过滤）
+     * @returns {boolean} 是否需要
+     */
+    needsPageAnalysis() {
+        return (this.config.filterBlankPages || this.config.filterDuplicatePages) && PageAnalyzer.isSupported();
+    }
+
+    /**
+     * 分析页面并标记空白页和重复页（优先在Worker中执行）
+     * @param {object} fileObj - 文件对象
+     * @param {object[]} pages - 页面图片
+     * @param {Function} progressCallback - 进度回调函数
+     * @param {AbortSignal} signal - 中止信号（可选）
+     * @param {boolean} register - 是否记录本书的页面，供批次中排在后面的书检测重复
+     * @returns {Promise<object>} 页面originalPath -> 'blank' | 'duplicate'
+     */
+    async analyzePages(fileObj, pages, progressCallback, signal, register = false) {
+        let analyses = null;
+
+        if (this.workerPool) {
+            try {
+                analyses = await this.workerPool.run('analyze', { images: pages }, progressCallback, signal);
+            } catch (error) {
+                if (!error.workerUnavailable) throw error;
+                this.handleWorkerUnavailable(error);
+            }
+        }
+
+        if (!analyses) {
+            analyses = await this.pageAnalyzer.analyzeImages(pages, progressCallback, signal);
+        }
+
+        // 只和文件顺序中排在前面的书比较，结果不受并发完成顺序影响
+        const entry = this.batchPageHashes.get(fileObj.id);
+        const position = entry ? entry.position : this.fileHandler.getOrderedFiles().indexOf(fileObj);
+        const earlierEntries = Array.from(this.batchPageHashes.entries())
+            .filter(([fileId, other]) => fileId !== fileObj.id && other.position < position)
+            .map(([, other]) => other);
+        // 处理时等待前面的书完成分析；预览不等待，只使用已经记录的页面
+        const knownPages = register
+            ? (await Utils.abortable(Promise.all(earlierEntries.map(other => other.hashes)), signal)).flat()
+            : earlierEntries.filter(other => other.pages !== null).flatMap(other => other.pages);
+        const flags = this.pageAnalyzer.flagPages(analyses, knownPages);
+
+        if (register && entry) {
+            entry.resolve(analyses
+                .filter(analysis => analysis.hash && !flags[analysis.originalPath])
+                .map(analysis => ({ hash: analysis.hash })));
+        }
+
+        return flags;
+    }
+
+    /**
+     * 为批次中的文件准备页面哈希记录，并按当前文件顺序更新各书的位置
+     * @param {object[]} files - 批次中的文件（按文件顺序排列）
+     */
+    preparePageHashes(files) {
+        const positions = new Map(this.fileHandler.getOrderedFiles().map((fileObj, index) => [fileObj.id, index]));
+        this.batchPageHashes.forEach((entry, fileId) => {
+            entry.position = positions.has(fileId) ? positions.get(fileId) : Infinity;
+        });
 
-                // 保存处理结果
-                const result = {
-                    fileId: fileObj.id,
-                    fileName: fileObj.outputName,
-                    originalName: fileObj.name,
-                    blob: zipBlob,
-                    size: zipBlob.size,
-                    imageCount: parseResult.images.length,
-                    metadata: parseResult.metadata,
-                    success: true
+        files.forEach(fileObj => {
+            const entry = { position: positions.get(fileObj.id), pages: null };
+            entry.hashes = new Promise(done => {
+                entry.resolve = (pages) => {
+                    if (entry.pages === null) {
+                        entry.pages = pages;
+                    }
+                    done(pages);
                 };
+            });
+            this.batchPageHashes.set(fileObj.id, entry);
+        });
+    }
 
-                this.processedResults.set(fileObj.id, result);
+    /**
+     * 结束文件的页面哈希等待（已记录时不变）
+     * @param {string} fileId - 文件ID
+     */
+    settlePageHashes(fileId) {
+        const entry = this.batchPageHashes.get(fileId);
+        if (entry) {
+            entry.resolve([]);
+        }
+    }
 
-                // 更新状态为完成
-                this.uiController.updateFileProgressItem(fileObj.id, 'completed', '处理完成');
-                this.fileHandler.updateFileStatus(fileObj.id, 'completed');
-                
-                successfulFiles++;
+    /**
+     * 计算不写入输出文件的页面
+     * 包括预览中取消选择的页面，以及按设置自动过滤的空白页和重复页（预览中手动保留的除外）
+     * @param {object} fileObj - 文件对象
+     * @param {object} pageFlags - 页面标记 originalPath -> 'blank' | 'duplicate'
+     * @returns {object} {excludedPages: 页面originalPath数组, filtered: {blank, duplicate} 自动过滤的页数}
+     */
+    resolveExcludedPages(fileObj, pageFlags = {}) {
+        const excluded = new Set(fileObj.excludedPages);
+        const filtered = { blank: 0, duplicate: 0 };
+
+        Object.entries(pageFlags).forEach(([path, flag]) => {
+            const enabled = flag === 'blank' ? this.config.filterBlankPages : this.config.filterDuplicatePages;
+            if (enabled && !excluded.has(path) && !fileObj.includedPages.includes(path)) {
+                excluded.add(path);
+                filtered[flag]++;
+            }
+        });
+
+        return { excludedPages: Array.from(excluded), filtered };
+    }
+
+    /**
+     * 按封面设置调整页面顺序
+     * @param {object[]} images - 解析得到的图片数组
+     * @returns {object} {pages: 写入输出文件的页面, cover: 需要单独保存的封面（没有时为null）}
+     */
+    arrangeCover(images) {
+        const coverIndex = images.findIndex(image => image.isCover);
+        if (coverIndex === -1) {
+            return { pages: images, cover: null };
+        }
+
+        const cover = images[coverIndex];
+        const others = images.filter((image, index) => index !== coverIndex);
+        const renumber = (pages) => pages.map((image, index) => ({ ...image, pageNumber: index + 1 }));
+
+        switch (this.config.coverMode) {
+            case 'exclude':
+                return { pages: renumber(others), cover: null };
+
+            case 'separate':
+                return { pages: renumber(others), cover };
 
+            default: {
+                // 作为第000页放在最前面，其余页面仍从第1页开始编号
+                const coverPage = { ...cover, pageNumber: 0, unreferenced: false };
+                return { pages: [coverPage, ...renumber(others)], cover: null };
+            }
+        }
+    }
+
+    /**
+     * 单独保存封面图片，文件名为"输出文件名.cover.扩展名"
+     * @param {object} cover - 封面图片
+     * @param {string} outputName - 输出文件名
+     * @param {FileSystemDirectoryHandle|null} targetDirectory - 写入文件夹模式下的目标文件夹
+     * @returns {Promise<object>} {fileName, blob}，已写入文件夹时blob为null
+     */
+    async saveCover(cover, outputName, targetDirectory) {
+        const extension = Utils.getFileExtension(cover.fileName).toLowerCase() || 'jpg';
+        const fileName = `${Utils.removeFileExtension(outputName)}.cover.${extension}`;
+
+        if (!targetDirectory) {
+            return { fileName, blob: cover.blob };
+        }
+
+        const fileHandle = await targetDirectory.getFileHandle(fileName, { create: true });
+        await this.outputWriter.writeBlob(await fileHandle.createWritable(), cover.blob);
+        return { fileName, blob: null };
+    }
+
+    /**
+     * 暂停批处理：正在处理的文件继续完成，之后的文件暂不开始
+     */
+    pauseProcessing() {
+        if (!this.scheduler || this.scheduler.isPaused) return;
+
+        this.scheduler.pause();
+        this.uiController.updateProgressControls('paused');
+        this.updateBatchProgress();
+        Utils.showNotification('已暂停，当前文件处理完成后停止', 'info');
+    }
+
+    /**
+     * 恢复批处理
+     */
+    resumeProcessing() {
+        if (!this.scheduler || !this.scheduler.isPaused) return;
+
+        this.scheduler.resume();
+        this.uiController.updateProgressControls('running');
+        this.updateBatchProgress();
+    }
+
+    /**
+     * 取消整个批处理，已完成的结果保留
+     */
+    cancelProcessing() {
+        if (!this.isProcessing || !this.batchState) return;
+
+        this.batchState.controllers.forEach(controller => controller.abort());
+
+        // 暂停中的排队任务需要恢复调度才能结束
+        if (this.scheduler && this.scheduler.isPaused) {
+            this.scheduler.resume();
+        }
+
+        this.uiController.updateProgressControls('hidden');
+        Utils.showNotification('正在取消处理...', 'warning');
+    }
+
+    /**
+     * 取消单个文件的处理
+     * @param {string} fileId - 文件ID
+     */
+    cancelFile(fileId) {
+        if (!this.isProcessing || !this.batchState) return;
+
+        const controller = this.batchState.controllers.get(fileId);
+        if (controller) {
+            controller.abort();
+        }
+    }
+
+    /**
+     * 按输出序号排序处理结果（序号相同时按输出文件名）
+     */
+    sortProcessedResults() {
+        const getSequence = (result) => {
+            const fileObj = this.fileHandler.getFileById(result.fileId);
+            return fileObj && fileObj.sequenceNumber ? fileObj.sequenceNumber : Infinity;
+        };
+
+        const sorted = Array.from(this.processedResults.entries())
+            .sort(([, a], [, b]) => {
+                const sequenceA = getSequence(a);
+                const sequenceB = getSequence(b);
+                if (sequenceA !== sequenceB) {
+                    return sequenceA - sequenceB;
+                }
+                return a.fileName.localeCompare(b.fileName, 'zh-CN', { numeric: true });
+            });
+
+        this.processedResults = new Map(sorted);
+    }
+
+    /**
+     * 解析EPUB文件（优先在Worker中执行）
+     * @param {object} fileObj - 文件对象
+     * @param {Function} progressCallback - 进度回调函数
+     * @param {AbortSignal} signal - 中止信号（可选）
+     * @returns {Promise<object>} 解析结果
+     */
+    async parseFile(fileObj, progressCallback, signal) {
+        const options = { extractText: this.needsTextExtraction() };
+
+        if (this.workerPool) {
+            try {
+                return await this.workerPool.run('parse', { file: fileObj.file, options }, progressCallback, signal);
             } catch (error) {
-                console.error(`处理文件失败 ${fileObj.name}:`, error);
-                
-                // 更新状态为错误
-                this.uiController.updateFileProgressItem(fileObj.id, 'error', error.message);
-                this.fileHandler.updateFileStatus(fileObj.id, 'error', { error: error.message });
+                if (!error.workerUnavailable) throw error;
+                this.handleWorkerUnavailable(error);
             }
+        }
 
-            // 更新整体进度
-            completedFiles++;
-            this.uiController.updateOverallProgress(
-                completedFiles, 
-                totalFiles, 
-                `${completedFiles} / ${totalFiles} (成功: ${successfulFiles})`
-            );
+        return Utils.abortable(this.epubParser.parseEpub(fileObj.file, progressCallback, options), signal);
+    }
+
+    /**
+     * 是否需要提取正文（设置了正文导出格式，且输出为ZIP/CBZ）
+     * @returns {boolean} 是否需要
+     */
+    needsTextExtraction() {
+        return !!this.config.textExport && this.config.outputFormat !== 'pdf';
+    }
+
+    /**
+     * 读取EPUB元数据（优先在Worker中执行，避免载入压缩包时阻塞界面）
+     * @param {object} fileObj - 文件对象
+     * @returns {Promise<object>} 元数据
+     */
+    async readFileMetadata(fileObj) {
+        if (this.workerPool) {
+            try {
+                return await this.workerPool.run('metadata', { file: fileObj.file });
+            } catch (error) {
+                if (!error.workerUnavailable) throw error;
+                this.handleWorkerUnavailable(error);
+            }
+        }
+
+        return this.epubParser.readMetadata(fileObj.file);
+    }
+
+    /**
+     * 将图片打包为ZIP/CBZ/PDF（优先在Worker中执行）
+     * @param {object[]} images - 图片数组
+     * @param {string} fileName - 输出文件名
+     * @param {Function} progressCallback - 进度回调函数
+     * @param {AbortSignal} signal - 中止信号（可选）
+     * @param {object} packOptions - 附加打包选项 {metadata, fileHandle}
+     * @returns {Promise<Blob|object>} 输出文件Blob，写入文件时返回 {savedToDisk, size}
+     */
+    async packImages(images, fileName, progressCallback, signal, packOptions = {}) {
+        const options = {
+            format: this.config.outputFormat,
+            compressionLevel: this.config.compressionLevel,
+            ...packOptions
+        };
+
+        if (this.workerPool) {
+            try {
+                return await this.workerPool.run('pack', {
+                    images,
+                    fileName,
+                    options
+                }, progressCallback, signal);
+            } catch (error) {
+                if (!error.workerUnavailable) throw error;
+                this.handleWorkerUnavailable(error);
+            }
+        }
 
-            // 短暂延迟，避免阻塞UI
-            await Utils.delay(50);
+        return this.outputWriter.pack(images, fileName, progressCallback, { ...options, signal });
+    }
+
+    /**
+     * 确定书的阅读方向：按设置，或按EPUB声明的翻页方向（未声明时从左到右）
+     * @param {object} parseResult - EPUB解析结果
+     * @returns {string} ltr | rtl
+     */
+    resolveReadingDirection(parseResult) {
+        if (this.config.readingDirection !== 'auto') {
+            return this.config.readingDirection;
+        }
+        return parseResult.rendition && parseResult.rendition.direction === 'rtl' ? 'rtl' : 'ltr';
+    }
+
+    /**
+     * 按设置排列输出页面的阅读顺序
+     * 倒序后页面已按从左到右排列，输出文件不再标记为从右到左阅读（结果卡片仍显示书的阅读方向）
+     * @param {object[]} pages - 页面图片（阅读顺序）
+     * @param {string} readingDirection - 书的阅读方向 (ltr, rtl)
+     * @returns {object} {pages: 输出顺序的页面, outputDirection: 写入输出文件的阅读方向, reversed: 是否已倒序}
+     */
+    arrangeReadingOrder(pages, readingDirection) {
+        if (readingDirection !== 'rtl' || !this.config.reverseRtlPages) {
+            return { pages, outputDirection: readingDirection, reversed: false };
+        }
+
+        return {
+            pages: pages.slice().reverse().map((image, index) => ({ ...image, pageNumber: index + 1 })),
+            outputDirection: 'ltr',
+            reversed: true
+        };
+    }
+
+    /**
+     * 是否需要处理跨页（启用了跨页拆分，或在预览中标记了要合并的页面）
+     * @param {object} fileObj - 文件对象
+     * @returns {boolean} 是否需要
+     */
+    needsSpreadProcessing(fileObj) {
+        return (this.config.splitSpreads || fileObj.spreadPages.length > 0) && SpreadProcessor.isSupported();
+    }
+
+    /**
+     * 拆分和合并跨页（优先在Worker中执行）
+     * @param {object} fileObj - 文件对象
+     * @param {object[]} images - 页面图片（输出顺序）
+     * @param {string} direction - 阅读方向 (ltr, rtl)
+     * @param {Function} progressCallback - 进度回调函数
+     * @param {AbortSignal} signal - 中止信号（可选）
+     * @returns {Promise<object>} {images: 处理后的页面, stats: {split, merged, failed}}
+     */
+    async processSpreads(fileObj, images, direction, progressCallback, signal) {
+        const options = {
+            split: this.config.splitSpreads,
+            mergePages: fileObj.spreadPages,
+            direction
+        };
+
+        if (this.workerPool) {
+            try {
+                return await this.workerPool.run('spreads', { images, options }, progressCallback, signal);
+            } catch (error) {
+                if (!error.workerUnavailable) throw error;
+                this.handleWorkerUnavailable(error);
+            }
+        }
+
+        return this.spreadProcessor.processSpreads(images, options, progressCallback, signal);
+    }
+
+    /**
+     * 按设置转换图片格式（优先在Worker中执行）
+     * @param {object[]} images - 图片数组
+     * @param {Function} progressCallback - 进度回调函数
+     * @param {AbortSignal} signal - 中止信号（可选）
+     * @returns {Promise<object>} {images: 转换后的图片数组, stats: 转换统计}
+     */
+    async transcodeImages(images, progressCallback, signal) {
+        const options = {
+            format: this.config.transcodeFormat,
+            quality: Number(this.config.transcodeQuality) / 100
+        };
+
+        if (this.workerPool) {
+            try {
+                return await this.workerPool.run('transcode', { images, options }, progressCallback, signal);
+            } catch (error) {
+                if (!error.workerUnavailable) throw error;
+                this.handleWorkerUnavailable(error);
+            }
+        }
+
+        return this.imageTranscoder.transcodeImages(images, options, progressCallback, signal);
+    }
+
+    /**
+     * Worker不可用时回退到主线程处理
+     * @param {Error} error - 错误对象
+     */
+    handleWorkerUnavailable(error) {
+        console.warn('Worker不可用，回退到主线程处理:', error.message);
+
+        // 单个Worker崩溃时池会自行替换该Worker，只有整个池停用后才释放
+        if (this.workerPool && this.workerPool.isDisabled) {
+            this.workerPool.terminate();
+            this.workerPool = null;
+        }
+    }
+
+    /**
+     * 生成进度状态文本
+     * @param {object} progress - 进度信息
+     * @returns {string} 状态文本
+     */
+    getProgressText(progress) {
+        switch (progress.status) {
+            case 'extracting':
+                return `提取图片中... ${progress.current} / ${progress.total}`;
+            case 'analyzing':
+                return `分析页面中... ${progress.current} / ${progress.total}`;
+            case 'text':
+                return `提取正文中... ${progress.current} / ${progress.total}`;
+            case 'spreads':
+                return `处理跨页中... ${progress.current} / ${progress.total}`;
+            case 'transcoding':
+                return `转换图片格式中... ${progress.current} / ${progress.total}`;
+            case 'compressing':
+                return `压缩中... ${Math.round(progress.percent || 0)}%`;
+            case 'converting':
+                return `转换图片中... ${progress.current} / ${progress.total}`;
+            case 'writing':
+                return '生成PDF中...';
+            default:
+                return '添加文件中...';
         }
     }
 
@@ -334,9 +1250,15 @@ class EpubToZipApp {
     handleProcessingComplete() {
         const successfulResults = Array.from(this.processedResults.values())
             .filter(result => result.success);
+        const cancelledCount = this.batchState ? this.batchState.cancelled : 0;
+        const failedCount = this.getFailedFiles().length;
 
         if (successfulResults.length === 0) {
-            Utils.showNotification('没有文件处理成功', 'error');
+            if (cancelledCount > 0 && failedCount === 0) {
+                Utils.showNotification('处理已取消', 'warning');
+            } else {
+                Utils.showNotification('没有文件处理成功', 'error');
+            }
             return;
         }
 
@@ -353,12 +1275,15 @@ class EpubToZipApp {
             this.uiController.scrollToSection('resultSection');
         }, 300);
 
-        // 显示完成通知
-        Utils.showNotification(
-            `处理完成！成功转换 ${successfulResults.length} 个文件`,
-            'success',
-            5000
-        );
+        // 显示完成通知（成功数包含之前批次保留的结果）
+        let summary = `处理完成！成功转换 ${successfulResults.length} 个文件`;
+        if (failedCount > 0) {
+            summary += `，失败 ${failedCount} 个（可重试）`;
+        }
+        if (cancelledCount > 0) {
+            summary += `，已取消 ${cancelledCount} 个`;
+        }
+        Utils.showNotification(summary, failedCount > 0 ? 'warning' : 'success', 5000);
     }
 
     /**
@@ -374,34 +1299,55 @@ class EpubToZipApp {
 
     /**
      * 下载单个结果文件
-     * @param {string} fileName - 文件名
+     * @param {string} fileId - 文件ID
      */
-    downloadSingleResult(fileName) {
-        const result = Array.from(this.processedResults.values())
-            .find(r => r.fileName === fileName);
+    downloadSingleResult(fileId) {
+        const result = this.processedResults.get(fileId);
 
         if (!result) {
             Utils.showNotification('找不到指定的文件', 'error');
             return;
         }
 
+        if (result.savedToDisk) {
+            Utils.showNotification(`${result.fileName} 已保存到所选文件夹`, 'info');
+            return;
+        }
+
         try {
-            Utils.downloadBlob(result.blob, result.fileName);
+            this.downloadResultFiles(result);
             Utils.showNotification(`开始下载 ${result.fileName}`, 'success');
         } catch (error) {
             Utils.handleError(error, '下载文件');
         }
     }
 
+    /**
+     * 下载结果文件及单独保存的封面
+     * @param {object} result - 处理结果
+     */
+    downloadResultFiles(result) {
+        Utils.downloadBlob(result.blob, result.fileName);
+        if (result.cover && result.cover.blob) {
+            Utils.downloadBlob(result.cover.blob, result.cover.fileName);
+        }
+    }
+
     /**
      * 下载所有结果文件
      */
     async downloadAllResults() {
         const successfulResults = Array.from(this.processedResults.values())
-            .filter(result => result.success);
+            .filter(result => result.success && result.blob);
 
         if (successfulResults.length === 0) {
-            Utils.showNotification('没有可下载的文件', 'warning');
+            const savedCount = Array.from(this.processedResults.values())
+                .filter(result => result.savedToDisk).length;
+            if (savedCount > 0) {
+                Utils.showNotification(`${savedCount} 个文件已保存到所选文件夹`, 'info');
+            } else {
+                Utils.showNotification('没有可下载的文件', 'warning');
+            }
             return;
         }
 
@@ -409,8 +1355,11 @@ class EpubToZipApp {
             if (successfulResults.length === 1) {
                 // 只有一个文件，直接下载
                 const result = successfulResults[0];
-                Utils.downloadBlob(result.blob, result.fileName);
+                this.downloadResultFiles(result);
                 Utils.showNotification(`开始下载 ${result.fileName}`, 'success');
+            } else if (OutputWriter.supportsSaveFilePicker()) {
+                // 多个文件，选择保存位置后直接写入总压缩包
+                await this.saveArchiveToFile(successfulResults, 'epub_converted_files.zip');
             } else {
                 // 多个文件，打包下载
                 Utils.showNotification('正在打包文件...', 'info');
@@ -431,6 +1380,38 @@ class EpubToZipApp {
         }
     }
 
+    /**
+     * 选择保存位置并将总压缩包流式写入，不在内存中生成完整压缩包
+     * @param {object[]} results - 处理结果数组
+     * @param {string} archiveName - 建议的文件名
+     */
+    async saveArchiveToFile(results, archiveName) {
+        let fileHandle;
+        try {
+            fileHandle = await window.showSaveFilePicker({
+                suggestedName: archiveName,
+                types: [{
+                    description: 'ZIP 压缩包',
+                    accept: { 'application/zip': ['.zip'] }
+                }]
+            });
+        } catch (error) {
+            // 用户取消选择
+            if (Utils.isAbortError(error)) return;
+            throw error;
+        }
+
+        Utils.showNotification('正在写入打包文件...', 'info');
+
+        const writable = await fileHandle.createWritable();
+        await this.zipGenerator.writeArchiveToStream(results, writable);
+
+        Utils.showNotification(
+            `打包文件已保存 (包含 ${results.length} 个文件)`,
+            'success'
+        );
+    }
+
     /**
      * 获取应用信息
      * @returns {object} 应用信息
@@ -443,7 +1424,10 @@ class EpubToZipApp {
                 nameProcessor: !!this.nameProcessor,
                 epubParser: !!this.epubParser,
                 zipGenerator: !!this.zipGenerator,
-                uiController: !!this.uiController
+                pdfGenerator: !!this.pdfGenerator,
+                outputWriter: !!this.outputWriter,
+                uiController: !!this.uiController,
+                workerPool: this.workerPool ? this.workerPool.getStatus() : null
             },
             config: this.config,
             stats: {
@@ -483,9 +1467,23 @@ class EpubToZipApp {
         const results = Array.from(this.processedResults.values()).map(result => ({
             originalName: result.originalName,
             outputName: result.fileName,
+            folder: result.folder,
             success: result.success,
             size: result.size,
             imageCount: result.imageCount,
+            excludedPages: result.excludedPages,
+            filteredPages: result.filteredPages,
+            transcodeStats: result.transcodeStats,
+            spreadStats: result.spreadStats,
+            coverFileName: result.cover ? result.cover.fileName : '',
+            discoveryStrategy: result.discoveryStrategy,
+            readingDirection: result.readingDirection,
+            reversed: result.reversed,
+            textChapters: result.textChapters,
+            chapterFolders: result.chapterFolders,
+            renamedPages: result.renamedPages,
+            rendition: result.rendition,
+            compressionStats: result.compressionStats,
             metadata: result.metadata
         }));
 
@@ -528,6 +1526,15 @@ class EpubToZipApp {
         Object.assign(this.config, newConfig);
         
         // 应用配置到相关模块
+        if (newConfig.maxConcurrentTasks) {
+            if (this.workerPool) {
+                this.workerPool.setSize(newConfig.maxConcurrentTasks);
+            }
+            if (this.scheduler) {
+                this.scheduler.setConcurrency(newConfig.maxConcurrentTasks);
+            }
+        }
+
         if (this.zipGenerator) {
             if (newConfig.maxConcurrentTasks) {
                 this.zipGenerator.setMaxConcurrentJobs(newConfig.maxConcurrentTasks);
@@ -536,6 +1543,45 @@ class EpubToZipApp {
                 this.zipGenerator.setCompressionLevel(newConfig.compressionLevel);
             }
         }
+
+        // 输出格式变化时重新生成输出文件名
+        if (newConfig.outputFormat && this.nameProcessor) {
+            this.nameProcessor.setOutputExtension(newConfig.outputFormat);
+            this.refreshOutputNames();
+        }
+
+        // 排序设置变化时重新自动排序，只保留锁定文件的位置
+        if ((newConfig.groupBySeries !== undefined || newConfig.sortSource !== undefined) && this.fileHandler) {
+            this.fileHandler.clearManualPositions();
+        }
+
+        // 系列分组设置变化时重新生成输出文件名
+        if ((newConfig.groupBySeries !== undefined || newConfig.seriesFolders !== undefined) && this.nameProcessor) {
+            this.nameProcessor.setSeriesGrouping(this.config.groupBySeries, this.config.seriesFolders);
+            this.refreshOutputNames();
+        }
+
+        // 文件名模板或排序依据变化时重新生成输出文件名（需要时先读取元数据）
+        if ((newConfig.nameTemplate !== undefined || newConfig.sortSource !== undefined) && this.nameProcessor) {
+            this.nameProcessor.setNameTemplate(this.config.nameTemplate);
+            this.nameProcessor.setSortSource(this.config.sortSource);
+            this.refreshOutputNames();
+
+            if (this.fileHandler) {
+                this.loadFileMetadata(this.fileHandler.getAllFiles())
+                    .catch(error => Utils.handleError(error, '读取元数据'));
+            }
+        }
+    }
+
+    /**
+     * 按当前文件列表和设置重新生成输出文件名
+     */
+    refreshOutputNames() {
+        if (!this.fileHandler || this.fileHandler.getFileCount() === 0) return;
+
+        const nameMapping = this.nameProcessor.processFileNames(this.fileHandler.getAllFiles());
+        this.fileHandler.updateOutputNames(nameMapping);
     }
 
     /**
@@ -543,6 +1589,7 @@ class EpubToZipApp {
      */
     destroy() {
         // 停止处理
+        this.cancelProcessing();
         this.isProcessing = false;
         
         // 销毁模块
@@ -555,6 +1602,9 @@ class EpubToZipApp {
         if (this.zipGenerator) {
             this.zipGenerator.cleanup();
         }
+        if (this.workerPool) {
+            this.workerPool.terminate();
+        }
         if (this.uiController) {
             this.uiController.destroy();
         }
@@ -569,6 +1619,9 @@ class EpubToZipApp {
     }
 }
 
+// 导出主应用类
+window.EpubToZipApp = EpubToZipApp;
+
 // 应用启动
 document.addEventListener('DOMContentLoaded', () => {
     // 创建应用实例
@@ -6,14 +6,21 @@ class EpubParser {
             'image/webp', 'image/bmp', 'image/svg+xml'
         ];
         this.imageExtensions = ['.jpg', '.jpeg', '.png', '.gif', '.webp', '.bmp', '.svg'];
+        this.xmlDelegate = null; // Worker中由主线程代为执行XML解析
+        this.dcNamespace = 'http://purl.org/dc/elements/1.1/';
+        this.opfNamespace = 'http://www.idpf.org/2007/opf';
+        // ONIX标识符类型代码（EPUB3 identifier-type 常用 scheme="onix:codelist5"）
+        this.onixIdentifierTypes = { '02': 'ISBN', '03': 'GTIN', '06': 'DOI', '15': 'ISBN', '22': 'URN' };
     }
 
     /**
      * 解析EPUB文件并提取图片
      * @param {File} file - EPUB文件
+     * @param {Function} progressCallback - 进度回调函数（可选）
+     * @param {object} options - 解析选项 {extractText: 是否同时提取正文}
      * @returns {Promise<object>} 解析结果
      */
-    async parseEpub(file) {
+    async parseEpub(file, progressCallback, options = {}) {
         try {
             // 使用JSZip读取EPUB文件
             const zip = new JSZip();
@@ -22,16 +29,33 @@ class EpubParser {
             // 验证EPUB结构
             await this.validateEpubStructure(zipContent);
             
+            // 读取OPF包文件（清单与spine）
+            const packageInfo = await this.loadPackage(zipContent);
+            
+            // 读取目录（nav或NCX），用于划分章节
+            const toc = packageInfo ? await this.loadTableOfContents(zipContent, packageInfo) : [];
+
             // 提取图片文件
-            const images = await this.extractImages(zipContent);
+            const images = await this.extractImages(zipContent, packageInfo, progressCallback, toc);
             
             // 获取元数据
-            const metadata = await this.extractMetadata(zipContent);
+            const metadata = await this.extractMetadata(zipContent, packageInfo);
+
+            // 按需提取正文（按目录分章）
+            const chapters = options.extractText && packageInfo
+                ? await this.extractText(zipContent, packageInfo, progressCallback, toc)
+                : null;
             
             return {
                 success: true,
                 images: images,
                 metadata: metadata,
+                readingOrder: images.some(img => img.orderSource === 'spine') ? 'spine' : 'path',
+                hasCover: images.some(img => img.isCover),
+                discoveryStrategy: images.some(img => img.discoverySource === 'manifest') ? 'manifest' : 'heuristic',
+                rendition: packageInfo ? packageInfo.rendition : this.getDefaultRendition(),
+                chapters: chapters,
+                unreferencedImages: images.filter(img => img.unreferenced).length,
                 totalImages: images.length,
                 totalSize: images.reduce((sum, img) => sum + (img.size || 0), 0)
             };
@@ -75,31 +99,72 @@ class EpubParser {
 
     /**
      * 提取图片文件
+     * 按OPF spine阅读顺序排列；存在于压缩包但未被任何页面引用的图片追加在末尾并标记为unreferenced，
+     * OPF中声明的封面图片标记为isCover；提供目录时按spine范围标记每张图片所属的章节
      * @param {JSZip} zipContent - ZIP内容
+     * @param {object|null} packageInfo - OPF包信息（可选，未提供时自动读取）
+     * @param {Function} progressCallback - 进度回调函数（可选）
+     * @param {object[]} toc - 目录项（可选）
      * @returns {Promise<object[]>} 图片文件数组
      */
-    async extractImages(zipContent) {
+    async extractImages(zipContent, packageInfo, progressCallback, toc = []) {
         const images = [];
-        const imageFiles = [];
 
-        // 遍历所有文件，查找图片
-        zipContent.forEach((relativePath, file) => {
-            if (!file.dir && this.isImageFile(relativePath)) {
-                imageFiles.push({
-                    path: relativePath,
-                    file: file
-                });
-            }
-        });
+        if (packageInfo === undefined) {
+            packageInfo = await this.loadPackage(zipContent);
+        }
+
+        const { imageFiles, declaredTypes, fallbackPaths, strategy } = this.discoverImageFiles(zipContent, packageInfo);
+
+        // 封面图片即使文件名看起来像缩略图也要保留
+        const coverPath = packageInfo ? await this.resolveCoverPath(zipContent, packageInfo, imageFiles) : null;
+
+        // 按spine顺序收集页面引用的图片，并记录每张图片所在的spine项
+        let referencedPaths = [];
+        const imageSpineItems = new Map();
+        if (packageInfo && packageInfo.spine.length > 0) {
+            referencedPaths = await this.collectSpineImageRefs(zipContent, packageInfo, imageFiles, fallbackPaths, imageSpineItems);
+        }
+        const spineChapters = packageInfo ? this.getSpineChapters(packageInfo.spine, toc) : [];
 
-        // 按路径排序，确保顺序一致
-        imageFiles.sort((a, b) => a.path.localeCompare(b.path, 'zh-CN', { numeric: true }));
+        const referencedSet = new Set(referencedPaths);
+        const ordered = referencedPaths.map(path => ({ path, unreferenced: false }));
+
+        // 未被引用的图片按路径排序后追加到末尾（spine中的SVG页面本身不算未引用图片）
+        const spinePaths = new Set(packageInfo ? packageInfo.spine.map(item => item.path) : []);
+        const unreferencedPaths = Array.from(imageFiles.keys())
+            .filter(path => !referencedSet.has(path) && !spinePaths.has(path))
+            .sort((a, b) => a.localeCompare(b, 'zh-CN', { numeric: true }));
+        unreferencedPaths.forEach(path => ordered.push({ path, unreferenced: referencedPaths.length > 0 }));
 
         // 提取图片数据
-        for (const { path, file } of imageFiles) {
+        for (let i = 0; i < ordered.length; i++) {
+            const { path, unreferenced } = ordered[i];
+
+            if (progressCallback) {
+                progressCallback({
+                    current: i + 1,
+                    total: ordered.length,
+                    fileName: path,
+                    status: 'extracting'
+                });
+            }
+
             try {
-                const imageData = await this.extractImageData(path, file);
+                const imageData = await this.extractImageData(path, imageFiles.get(path), declaredTypes.get(path));
                 if (imageData) {
+                    imageData.discoverySource = strategy;
+                    imageData.pageNumber = images.length + 1;
+                    imageData.unreferenced = unreferenced;
+                    imageData.orderSource = referencedSet.has(path) ? 'spine' : 'path';
+                    imageData.isCover = path === coverPath;
+
+                    // spine项声明的跨页位置和所属章节
+                    const spineItem = imageSpineItems.get(path);
+                    const chapter = spineItem ? spineChapters[packageInfo.spine.indexOf(spineItem)] : null;
+                    imageData.pageSpread = spineItem ? spineItem.pageSpread : null;
+                    imageData.chapterIndex = chapter ? chapter.index : null;
+                    imageData.chapterTitle = chapter ? chapter.title : '';
                     images.push(imageData);
                 }
             } catch (error) {
@@ -111,23 +176,306 @@ class EpubParser {
         return images;
     }
 
+    /**
+     * 查找候选图片文件
+     * 优先按OPF清单的media-type确定图片（不支持的格式沿fallback链找到可用图片），
+     * 清单缺失或其中的图片都不存在时，退回按目录名和扩展名推测
+     * @param {JSZip} zipContent - ZIP内容
+     * @param {object|null} packageInfo - OPF包信息
+     * @returns {object} {imageFiles: 路径 -> 文件, declaredTypes: 路径 -> 清单中的media-type,
+     *                    fallbackPaths: 原清单项路径 -> 替代图片路径, strategy: 'manifest'|'heuristic'}
+     */
+    discoverImageFiles(zipContent, packageInfo) {
+        const imageFiles = new Map();
+        const declaredTypes = new Map();
+        const fallbackPaths = new Map();
+
+        if (packageInfo && packageInfo.manifest.length > 0) {
+            // 清单路径与实际文件名大小写不一致时的回退查找
+            const lowerCaseIndex = new Map();
+            zipContent.forEach((relativePath, file) => {
+                if (!file.dir) lowerCaseIndex.set(relativePath.toLowerCase(), file);
+            });
+
+            const manifestById = new Map(packageInfo.manifest.map(item => [item.id, item]));
+            const documentTypes = ['application/xhtml+xml', 'text/html'];
+
+            packageInfo.manifest.forEach(item => {
+                // 内容文档的fallback不是替代图片，不跟随
+                const image = documentTypes.includes(item.mediaType)
+                    ? null
+                    : this.resolveManifestImage(item, manifestById);
+                if (!image || !image.path) return;
+
+                const file = zipContent.file(image.path) || lowerCaseIndex.get(image.path.toLowerCase());
+                if (!file || file.dir) return;
+
+                imageFiles.set(file.name, file);
+                declaredTypes.set(file.name, image.mediaType);
+                if (image !== item && item.path) {
+                    fallbackPaths.set(item.path, file.name);
+                }
+            });
+
+            if (imageFiles.size > 0) {
+                return { imageFiles, declaredTypes, fallbackPaths, strategy: 'manifest' };
+            }
+        }
+
+        // 清单不可用（损坏的包）：按目录名和扩展名推测
+        zipContent.forEach((relativePath, file) => {
+            if (!file.dir && this.isImageFile(relativePath)) {
+                imageFiles.set(relativePath, file);
+            }
+        });
+
+        return { imageFiles, declaredTypes, fallbackPaths, strategy: 'heuristic' };
+    }
+
+    /**
+     * 沿fallback链查找第一个支持的图片清单项
+     * @param {object} item - 清单项
+     * @param {Map<string, object>} manifestById - 清单项ID索引
+     * @returns {object|null} 图片清单项，找不到返回null
+     */
+    resolveManifestImage(item, manifestById) {
+        const visited = new Set();
+        let current = item;
+
+        while (current && !visited.has(current.id)) {
+            if (this.supportedImageTypes.includes(current.mediaType.toLowerCase())) {
+                return current;
+            }
+            visited.add(current.id);
+            current = current.fallback ? manifestById.get(current.fallback) : null;
+        }
+
+        return null;
+    }
+
+    /**
+     * 确定封面图片路径：manifest中的cover-image、EPUB2的<meta name="cover">、guide中type="cover"的页面
+     * @param {JSZip} zipContent - ZIP内容
+     * @param {object} packageInfo - OPF包信息
+     * @param {Map<string, JSZipObject>} imageFiles - 候选图片文件（找到的封面会补充进来）
+     * @returns {Promise<string|null>} 封面图片路径，没有声明封面时返回null
+     */
+    async resolveCoverPath(zipContent, packageInfo, imageFiles) {
+        let coverPath = packageInfo.coverPath;
+
+        // guide指向的是封面页面时，取页面中引用的第一张图片
+        if (!coverPath && packageInfo.coverPagePath) {
+            const pageFile = zipContent.file(packageInfo.coverPagePath);
+            if (pageFile) {
+                try {
+                    const content = await pageFile.async('text');
+                    const mediaType = /\.svg$/i.test(packageInfo.coverPagePath) ? 'image/svg+xml' : 'application/xhtml+xml';
+                    const refs = await this.runXmlTask('extractImageRefsFromDocument', content, packageInfo.coverPagePath, mediaType);
+                    coverPath = refs[0] || null;
+                } catch (error) {
+                    console.warn(`解析封面页面失败 ${packageInfo.coverPagePath}:`, error);
+                }
+            }
+        }
+
+        if (!coverPath) return null;
+
+        // 路径大小写不一致时按实际文件名匹配
+        const lowerCoverPath = coverPath.toLowerCase();
+        const coverFile = zipContent.file(coverPath) ||
+            Object.values(zipContent.files).find(file => file.name.toLowerCase() === lowerCoverPath);
+        if (!coverFile || coverFile.dir) return null;
+
+        if (!imageFiles.has(coverFile.name)) {
+            imageFiles.set(coverFile.name, coverFile);
+        }
+        return coverFile.name;
+    }
+
+    /**
+     * 按spine顺序收集各页面引用的图片路径
+     * @param {JSZip} zipContent - ZIP内容
+     * @param {object} packageInfo - OPF包信息
+     * @param {Map<string, JSZipObject>} imageFiles - 候选图片文件
+     * @param {Map<string, string>} fallbackPaths - 不支持的清单项到替代图片的映射（可选）
+     * @param {Map<string, object>} imageSpineItems - 输出参数，图片路径 -> 首次引用该图片的spine项（可选）
+     * @returns {Promise<string[]>} 去重后的图片路径（文档顺序）
+     */
+    async collectSpineImageRefs(zipContent, packageInfo, imageFiles, fallbackPaths = new Map(), imageSpineItems = new Map()) {
+        const result = [];
+        const seen = new Set();
+
+        // 路径大小写不一致时的回退查找
+        const lowerCaseIndex = new Map();
+        imageFiles.forEach((file, path) => lowerCaseIndex.set(path.toLowerCase(), path));
+
+        const addPath = (refPath, item) => {
+            const path = fallbackPaths.get(refPath) || refPath;
+            const actualPath = imageFiles.has(path) ? path : lowerCaseIndex.get(path.toLowerCase());
+            if (actualPath && !seen.has(actualPath)) {
+                seen.add(actualPath);
+                result.push(actualPath);
+                imageSpineItems.set(actualPath, item);
+            }
+        };
+
+        for (const item of packageInfo.spine) {
+            // 部分固定版式EPUB直接把图片放在spine中
+            if (/^image\//.test(item.mediaType) && item.mediaType !== 'image/svg+xml') {
+                addPath(item.path, item);
+                continue;
+            }
+
+            // 其他格式的spine项通过fallback指向图片
+            if (fallbackPaths.has(item.path)) {
+                addPath(item.path, item);
+                continue;
+            }
+
+            const pageFile = zipContent.file(item.path);
+            if (!pageFile) {
+                console.warn('spine页面不存在:', item.path);
+                continue;
+            }
+
+            try {
+                const content = await pageFile.async('text');
+                const refs = await this.runXmlTask('extractImageRefsFromDocument', content, item.path, item.mediaType);
+                refs.forEach(ref => addPath(ref, item));
+
+                // 不引用任何位图的SVG页面本身就是一页
+                if (refs.length === 0 && item.mediaType === 'image/svg+xml') {
+                    addPath(item.path, item);
+                }
+            } catch (error) {
+                console.warn(`解析页面失败 ${item.path}:`, error);
+            }
+        }
+
+        return result;
+    }
+
+    /**
+     * 从XHTML/SVG页面中按文档顺序提取图片引用
+     * 包括 <img src>、<image xlink:href> 以及内联样式和 <style> 中的 url()
+     * @param {string} content - 页面内容
+     * @param {string} docPath - 页面在压缩包中的路径
+     * @param {string} mediaType - 页面媒体类型
+     * @returns {string[]} 解析后的图片路径
+     */
+    extractImageRefsFromDocument(content, docPath, mediaType = 'application/xhtml+xml') {
+        const refs = [];
+        const parser = new DOMParser();
+        const xmlType = mediaType === 'image/svg+xml' ? 'image/svg+xml' : 'application/xhtml+xml';
+
+        let doc = parser.parseFromString(content, xmlType);
+        if (doc.getElementsByTagName('parsererror').length > 0) {
+            // 不规范的XHTML按HTML宽松解析
+            doc = parser.parseFromString(content, 'text/html');
+        }
+
+        const addRef = (href) => {
+            const path = this.resolveHref(docPath, href);
+            if (path) refs.push(path);
+        };
+
+        const elements = doc.getElementsByTagName('*');
+        for (let i = 0; i < elements.length; i++) {
+            const element = elements[i];
+            const tagName = (element.localName || element.nodeName).toLowerCase();
+
+            if (tagName === 'img' && element.getAttribute('src')) {
+                addRef(element.getAttribute('src'));
+            } else if (tagName === 'image') {
+                const href = element.getAttributeNS('http://www.w3.org/1999/xlink', 'href') ||
+                             element.getAttribute('xlink:href') ||
+                             element.getAttribute('href');
+                if (href) addRef(href);
+            } else if (tagName === 'style') {
+                this.extractCssUrls(element.textContent).forEach(addRef);
+            }
+
+            const inlineStyle = element.getAttribute('style');
+            if (inlineStyle) {
+                this.extractCssUrls(inlineStyle).forEach(addRef);
+            }
+        }
+
+        return refs;
+    }
+
+    /**
+     * 提取CSS文本中的url()引用
+     * @param {string} cssText - CSS文本
+     * @returns {string[]} 引用地址
+     */
+    extractCssUrls(cssText) {
+        const urls = [];
+        const urlPattern = /url\(\s*(['"]?)([^'")]+)\1\s*\)/gi;
+        let match;
+
+        while ((match = urlPattern.exec(cssText || '')) !== null) {
+            urls.push(match[2].trim());
+        }
+
+        return urls;
+    }
+
+    /**
+     * 将相对引用解析为压缩包内的完整路径
+     * @param {string} basePath - 引用所在文件的路径
+     * @param {string} href - 相对引用
+     * @returns {string|null} 规范化后的路径，外部链接或data URI返回null
+     */
+    resolveHref(basePath, href) {
+        if (!href || /^(data|https?|mailto):/i.test(href)) {
+            return null;
+        }
+
+        let cleanHref = href.split('#')[0].split('?')[0];
+        try {
+            cleanHref = decodeURIComponent(cleanHref);
+        } catch (error) {
+            // 保留原始引用
+        }
+        if (!cleanHref) return null;
+
+        const segments = cleanHref.startsWith('/')
+            ? []
+            : basePath.split('/').slice(0, -1);
+
+        cleanHref.split('/').forEach(segment => {
+            if (segment === '..') {
+                segments.pop();
+            } else if (segment && segment !== '.') {
+                segments.push(segment);
+            }
+        });
+
+        return segments.join('/');
+    }
+
     /**
      * 提取单个图片数据
      * @param {string} path - 图片路径
      * @param {JSZipObject} file - JSZip文件对象
+     * @param {string} declaredType - OPF清单中声明的media-type（可选）
      * @returns {Promise<object>} 图片数据
      */
-    async extractImageData(path, file) {
+    async extractImageData(path, file, declaredType) {
         try {
             // 获取图片二进制数据
             const arrayBuffer = await file.async('arraybuffer');
             const uint8Array = new Uint8Array(arrayBuffer);
             
             // 检测图片类型
-            const mimeType = this.detectImageType(uint8Array, path);
+            const mimeType = this.detectImageType(uint8Array, path, declaredType);
             
-            // 生成文件名
-            const fileName = this.generateImageFileName(path);
+            // 生成文件名（没有扩展名时按图片类型补上）
+            let fileName = this.generateImageFileName(path);
+            if (!this.getFileExtension(fileName)) {
+                fileName += `.${this.getExtensionFromMimeType(mimeType)}`;
+            }
             
             // 创建Blob对象
             const blob = new Blob([uint8Array], { type: mimeType });
@@ -149,7 +497,7 @@ class EpubParser {
     }
 
     /**
-     * 检查是否为图片文件
+     * 检查是否为图片文件（仅在OPF清单不可用时使用）
      * @param {string} path - 文件路径
      * @returns {boolean} 是否为图片文件
      */
@@ -164,8 +512,8 @@ class EpubParser {
         // 检查是否在常见的图片目录中
         const isInImageDirectory = /\/(images?|pics?|graphics?|assets?|media)\//i.test(path);
         
-        // 排除缩略图和封面（通常很小，不是主要内容）
-        const isNotThumbnail = !/thumb|thumbnail|cover|icon/i.test(lowerPath);
+        // 排除缩略图和图标（通常很小，不是主要内容）；封面由OPF声明识别，不按文件名排除
+        const isNotThumbnail = !/thumb|icon/i.test(lowerPath);
         
         return hasImageExtension && (isInImageDirectory || isNotThumbnail);
     }
@@ -174,12 +522,13 @@ class EpubParser {
      * 检测图片类型
      * @param {Uint8Array} data - 图片数据
      * @param {string} path - 文件路径
+     * @param {string} declaredType - OPF清单中声明的media-type（可选）
      * @returns {string} MIME类型
      */
-    detectImageType(data, path) {
+    detectImageType(data, path, declaredType) {
         // 通过文件头检测图片类型
         if (data.length < 4) {
-            return this.getMimeTypeFromExtension(path);
+            return declaredType || this.getMimeTypeFromExtension(path);
         }
 
         // JPEG: FF D8 FF
@@ -215,8 +564,8 @@ class EpubParser {
             return 'image/svg+xml';
         }
 
-        // 如果无法通过文件头检测，使用扩展名
-        return this.getMimeTypeFromExtension(path);
+        // 如果无法通过文件头检测，使用清单声明的类型或扩展名
+        return declaredType || this.getMimeTypeFromExtension(path);
     }
 
     /**
@@ -238,6 +587,24 @@ class EpubParser {
         return mimeMap[extension] || 'image/jpeg';
     }
 
+    /**
+     * 根据MIME类型获取文件扩展名
+     * @param {string} mimeType - MIME类型
+     * @returns {string} 扩展名（不含点）
+     */
+    getExtensionFromMimeType(mimeType) {
+        const extensionMap = {
+            'image/jpeg': 'jpg',
+            'image/jpg': 'jpg',
+            'image/png': 'png',
+            'image/gif': 'gif',
+            'image/webp': 'webp',
+            'image/bmp': 'bmp',
+            'image/svg+xml': 'svg'
+        };
+        return extensionMap[mimeType] || 'jpg';
+    }
+
     /**
      * 生成图片文件名
      * @param {string} originalPath - 原始路径
@@ -272,36 +639,567 @@ class EpubParser {
     /**
      * 提取EPUB元数据
      * @param {JSZip} zipContent - ZIP内容
+     * @param {object|null} packageInfo - OPF包信息（可选，未提供时自动读取）
      * @returns {Promise<object>} 元数据
      */
-    async extractMetadata(zipContent) {
+    async extractMetadata(zipContent, packageInfo) {
+        try {
+            if (packageInfo === undefined) {
+                packageInfo = await this.loadPackage(zipContent);
+            }
+
+            if (!packageInfo) {
+                return this.getDefaultMetadata();
+            }
+
+            return await this.runXmlTask('parseOpfMetadata', packageInfo.opfXml);
+            
+        } catch (error) {
+            console.warn('提取元数据失败:', error);
+            return this.getDefaultMetadata();
+        }
+    }
+
+    /**
+     * 只读取EPUB元数据，不提取图片
+     * @param {File} file - EPUB文件
+     * @returns {Promise<object>} 元数据，读取失败时返回默认元数据
+     */
+    async readMetadata(file) {
+        try {
+            const zipContent = await JSZip.loadAsync(file);
+            return await this.extractMetadata(zipContent);
+        } catch (error) {
+            console.warn(`读取元数据失败 ${file.name}:`, error);
+            return this.getDefaultMetadata();
+        }
+    }
+
+    /**
+     * 读取OPF包文件
+     * @param {JSZip} zipContent - ZIP内容
+     * @returns {Promise<object|null>} 包信息 {opfPath, opfXml, manifest, spine}，读取失败返回null
+     */
+    async loadPackage(zipContent) {
         try {
             // 读取container.xml获取OPF文件路径
             const containerFile = zipContent.file('META-INF/container.xml');
             if (!containerFile) {
-                return this.getDefaultMetadata();
+                return null;
             }
 
             const containerXml = await containerFile.async('text');
-            const opfPath = this.extractOpfPath(containerXml);
+            const opfPath = await this.runXmlTask('extractOpfPath', containerXml);
             
             if (!opfPath) {
-                return this.getDefaultMetadata();
+                return null;
             }
 
             // 读取OPF文件
             const opfFile = zipContent.file(opfPath);
             if (!opfFile) {
-                return this.getDefaultMetadata();
+                return null;
             }
 
             const opfXml = await opfFile.async('text');
-            return this.parseOpfMetadata(opfXml);
+            return {
+                opfPath: opfPath,
+                opfXml: opfXml,
+                ...(await this.runXmlTask('parsePackageDocument', opfXml, opfPath))
+            };
             
         } catch (error) {
-            console.warn('提取元数据失败:', error);
-            return this.getDefaultMetadata();
+            console.warn('读取OPF包文件失败:', error);
+            return null;
+        }
+    }
+
+    /**
+     * 解析OPF清单和spine
+     * @param {string} opfXml - OPF文件内容
+     * @param {string} opfPath - OPF文件路径（用于解析相对路径）
+     * @returns {object} {manifest, spine, rendition, navPath, ncxPath, coverPath, coverPagePath}
+     */
+    parsePackageDocument(opfXml, opfPath) {
+        const parser = new DOMParser();
+        const doc = parser.parseFromString(opfXml, 'text/xml');
+
+        const manifest = Array.from(doc.getElementsByTagNameNS('*', 'item')).map(item => ({
+            id: item.getAttribute('id') || '',
+            href: item.getAttribute('href') || '',
+            path: this.resolveHref(opfPath, item.getAttribute('href') || ''),
+            mediaType: item.getAttribute('media-type') || '',
+            properties: item.getAttribute('properties') || '',
+            fallback: item.getAttribute('fallback') || ''
+        }));
+
+        const manifestById = new Map(manifest.map(item => [item.id, item]));
+
+        const spine = Array.from(doc.getElementsByTagNameNS('*', 'itemref'))
+            .map(itemref => {
+                const item = manifestById.get(itemref.getAttribute('idref'));
+                if (!item || !item.path) return null;
+                const properties = itemref.getAttribute('properties') || '';
+                return {
+                    idref: item.id,
+                    path: item.path,
+                    mediaType: item.mediaType,
+                    linear: itemref.getAttribute('linear') !== 'no',
+                    properties: properties,
+                    pageSpread: this.getPageSpread(properties)
+                };
+            })
+            .filter(Boolean);
+
+        // 目录：EPUB3的nav文档，EPUB2的NCX（spine的toc属性或按media-type查找）
+        const navItem = manifest.find(item => item.properties.split(/\s+/).includes('nav'));
+        const spineElement = doc.getElementsByTagNameNS('*', 'spine')[0];
+        const ncxItem = (spineElement && manifestById.get(spineElement.getAttribute('toc'))) ||
+            manifest.find(item => item.mediaType === 'application/x-dtbncx+xml');
+
+        return {
+            manifest,
+            spine,
+            rendition: this.parseRendition(doc),
+            navPath: navItem ? navItem.path : '',
+            ncxPath: ncxItem ? ncxItem.path : '',
+            ...this.findCoverReference(doc, manifest, opfPath)
+        };
+    }
+
+    /**
+     * 读取目录（优先EPUB3的nav文档，其次NCX）
+     * @param {JSZip} zipContent - ZIP内容
+     * @param {object} packageInfo - OPF包信息
+     * @returns {Promise<object[]>} 目录项 [{title, path, fragment, level}]（文档顺序），没有目录时为空数组
+     */
+    async loadTableOfContents(zipContent, packageInfo) {
+        const sources = [
+            { path: packageInfo.navPath, method: 'parseNavDocument' },
+            { path: packageInfo.ncxPath, method: 'parseNcxDocument' }
+        ];
+
+        for (const source of sources) {
+            const tocFile = source.path ? zipContent.file(source.path) : null;
+            if (!tocFile) continue;
+
+            try {
+                const content = await tocFile.async('text');
+                const entries = await this.runXmlTask(source.method, content, source.path);
+                if (entries.length > 0) {
+                    return entries;
+                }
+            } catch (error) {
+                console.warn(`解析目录失败 ${source.path}:`, error);
+            }
+        }
+
+        return [];
+    }
+
+    /**
+     * 解析EPUB3 nav文档中的目录（epub:type="toc"的nav，没有时取第一个nav）
+     * @param {string} content - nav文档内容
+     * @param {string} navPath - nav文档路径
+     * @returns {object[]} 目录项 [{title, path, fragment, level}]
+     */
+    parseNavDocument(content, navPath) {
+        const parser = new DOMParser();
+        let doc = parser.parseFromString(content, 'application/xhtml+xml');
+        if (doc.getElementsByTagName('parsererror').length > 0) {
+            doc = parser.parseFromString(content, 'text/html');
+        }
+
+        const navs = Array.from(doc.getElementsByTagNameNS('*', 'nav'));
+        const getType = (nav) => nav.getAttributeNS('http://www.idpf.org/2007/ops', 'type') || nav.getAttribute('epub:type') || '';
+        const tocNav = navs.find(nav => getType(nav).split(/\s+/).includes('toc')) || navs[0];
+        if (!tocNav) return [];
+
+        const entries = [];
+        const childElements = (element, name) => Array.from(element.children)
+            .filter(child => (child.localName || child.nodeName).toLowerCase() === name);
+
+        const walkList = (list, level) => {
+            childElements(list, 'li').forEach(li => {
+                const link = li.getElementsByTagNameNS('*', 'a')[0];
+                const nestedList = childElements(li, 'ol')[0];
+                // 只取本级的链接，不取子目录中的链接
+                if (link && (!nestedList || !nestedList.contains(link))) {
+                    this.addTocEntry(entries, link.textContent, link.getAttribute('href'), navPath, level);
+                }
+                if (nestedList) {
+                    walkList(nestedList, level + 1);
+                }
+            });
+        };
+
+        const rootList = childElements(tocNav, 'ol')[0];
+        if (rootList) {
+            walkList(rootList, 1);
+        }
+
+        return entries;
+    }
+
+    /**
+     * 解析EPUB2 NCX中的目录
+     * @param {string} content - NCX文件内容
+     * @param {string} ncxPath - NCX文件路径
+     * @returns {object[]} 目录项 [{title, path, fragment, level}]
+     */
+    parseNcxDocument(content, ncxPath) {
+        const parser = new DOMParser();
+        const doc = parser.parseFromString(content, 'text/xml');
+        const navMap = doc.getElementsByTagNameNS('*', 'navMap')[0];
+        if (!navMap) return [];
+
+        const entries = [];
+        const walkPoints = (parent, level) => {
+            Array.from(parent.children)
+                .filter(child => child.localName === 'navPoint')
+                .forEach(point => {
+                    const label = Array.from(point.children).find(child => child.localName === 'navLabel');
+                    const target = Array.from(point.children).find(child => child.localName === 'content');
+                    if (label && target) {
+                        this.addTocEntry(entries, label.textContent, target.getAttribute('src'), ncxPath, level);
+                    }
+                    walkPoints(point, level + 1);
+                });
+        };
+
+        walkPoints(navMap, 1);
+        return entries;
+    }
+
+    /**
+     * 添加目录项（忽略没有标题或链接无法解析的项）
+     * @param {object[]} entries - 目录项数组
+     * @param {string} title - 标题
+     * @param {string} href - 链接
+     * @param {string} tocPath - 目录文件路径
+     * @param {number} level - 层级（从1开始）
+     */
+    addTocEntry(entries, title, href, tocPath, level) {
+        const cleanTitle = (title || '').replace(/\s+/g, ' ').trim();
+        const path = this.resolveHref(tocPath, href || '');
+        if (!cleanTitle || !path) return;
+
+        const hashIndex = href.indexOf('#');
+        entries.push({
+            title: cleanTitle,
+            path: path,
+            fragment: hashIndex > -1 ? href.slice(hashIndex + 1) : '',
+            level: level
+        });
+    }
+
+    /**
+     * 按目录的顶层条目划分spine范围：每个条目指向的文档开始一章，直到下一个条目之前
+     * 第一章之前的文档（封面、扉页等）不属于任何章节
+     * @param {object[]} spine - spine项数组
+     * @param {object[]} toc - 目录项
+     * @returns {Array<object|null>} 与spine对应的章节 {index, title}，不属于任何章节时为null
+     */
+    getSpineChapters(spine, toc) {
+        const starts = new Map(); // spine索引 -> 目录标题
+        toc.filter(entry => entry.level === 1).forEach(entry => {
+            const spineIndex = spine.findIndex(item => item.path === entry.path);
+            if (spineIndex > -1 && !starts.has(spineIndex)) {
+                starts.set(spineIndex, entry.title);
+            }
+        });
+
+        const chapters = [];
+        let current = null;
+        spine.forEach((item, spineIndex) => {
+            if (starts.has(spineIndex)) {
+                current = { index: current ? current.index + 1 : 0, title: starts.get(spineIndex) };
+            }
+            chapters.push(current);
+        });
+
+        return chapters;
+    }
+
+    /**
+     * 按spine顺序提取正文，并按目录分章
+     * 目录指向的文档开始新的一章，其余文档并入上一章
+     * @param {JSZip} zipContent - ZIP内容
+     * @param {object} packageInfo - OPF包信息
+     * @param {Function} progressCallback - 进度回调函数（可选）
+     * @param {object[]} toc - 目录项（可选，未提供时自动读取）
+     * @returns {Promise<object[]>} 章节 [{title, path, blocks}]，只包含有文字的章节
+     */
+    async extractText(zipContent, packageInfo, progressCallback, toc = null) {
+        if (!toc) {
+            toc = await this.loadTableOfContents(zipContent, packageInfo);
+        }
+        const tocTitles = new Map();
+        toc.forEach(entry => {
+            if (!tocTitles.has(entry.path)) {
+                tocTitles.set(entry.path, entry.title);
+            }
+        });
+
+        const documents = packageInfo.spine.filter(item => /html/.test(item.mediaType));
+        const chapters = [];
+
+        for (let i = 0; i < documents.length; i++) {
+            const item = documents[i];
+
+            if (progressCallback) {
+                progressCallback({
+                    current: i + 1,
+                    total: documents.length,
+                    fileName: item.path,
+                    status: 'text'
+                });
+            }
+
+            const pageFile = zipContent.file(item.path);
+            if (!pageFile) continue;
+
+            try {
+                const content = await pageFile.async('text');
+                const blocks = await this.runXmlTask('extractTextBlocksFromDocument', content, item.path, item.mediaType);
+
+                const title = tocTitles.get(item.path);
+                if (title || chapters.length === 0) {
+                    chapters.push({ title: title || '', path: item.path, blocks: [] });
+                }
+                chapters[chapters.length - 1].blocks.push(...blocks);
+            } catch (error) {
+                console.warn(`提取正文失败 ${item.path}:`, error);
+            }
+        }
+
+        // 只有插图的章节（漫画页等）不导出
+        const textChapters = chapters.filter(chapter => chapter.blocks.some(block => block.type !== 'image'));
+        textChapters.forEach((chapter, index) => {
+            if (!chapter.title) {
+                const heading = chapter.blocks.find(block => block.type === 'heading');
+                chapter.title = heading ? heading.text : `第${index + 1}部分`;
+            }
+        });
+
+        return textChapters;
+    }
+
+    /**
+     * 将XHTML页面转换为正文块：标题、段落和插图（保持文档顺序）
+     * 注音（rt、rp）、脚本和样式不计入正文
+     * @param {string} content - 页面内容
+     * @param {string} docPath - 页面在压缩包中的路径
+     * @param {string} mediaType - 页面媒体类型
+     * @returns {object[]} 正文块 [{type: 'heading', level, text} | {type: 'paragraph', text} | {type: 'image', path, alt}]
+     */
+    extractTextBlocksFromDocument(content, docPath, mediaType = 'application/xhtml+xml') {
+        const parser = new DOMParser();
+        let doc = parser.parseFromString(content, mediaType === 'text/html' ? 'text/html' : 'application/xhtml+xml');
+        if (doc.getElementsByTagName('parsererror').length > 0) {
+            doc = parser.parseFromString(content, 'text/html');
+        }
+
+        const blockTags = new Set([
+            'p', 'div', 'section', 'article', 'main', 'header', 'footer', 'aside', 'nav', 'blockquote', 'pre',
+            'ul', 'ol', 'li', 'dl', 'dt', 'dd', 'table', 'tr', 'td', 'th', 'figure', 'figcaption', 'hr'
+        ]);
+        const skippedTags = new Set(['head', 'script', 'style', 'rt', 'rp']);
+        const cjk = '\u3000-\u30ff\u3400-\u9fff\uf900-\ufaff\uff00-\uffef';
+        const cjkSpace = new RegExp(`([${cjk}]) (?=[${cjk}])`, 'g');
+
+        const blocks = [];
+        let buffer = '';
+
+        // 源码换行产生的空格在中日文之间去掉，<br>保留为换行
+        const takeText = () => {
+            const text = buffer
+                .replace(/[^\S\n]+/g, ' ')
+                .replace(/ *\n */g, '\n')
+                .replace(cjkSpace, '$1')
+                .trim();
+            buffer = '';
+            return text;
+        };
+
+        const flush = () => {
+            const text = takeText();
+            if (text) blocks.push({ type: 'paragraph', text });
+        };
+
+        const walk = (node) => {
+            if (node.nodeType === 3) {
+                buffer += node.nodeValue.replace(/\s+/g, ' ');
+                return;
+            }
+            if (node.nodeType !== 1) return;
+
+            const tagName = (node.localName || node.nodeName).toLowerCase();
+            if (skippedTags.has(tagName)) return;
+
+            if (tagName === 'br') {
+                buffer += '\n';
+                return;
+            }
+
+            if (tagName === 'img' || tagName === 'image') {
+                const href = node.getAttribute('src') ||
+                    node.getAttributeNS('http://www.w3.org/1999/xlink', 'href') ||
+                    node.getAttribute('xlink:href') ||
+                    node.getAttribute('href');
+                const path = this.resolveHref(docPath, href);
+                if (path) {
+                    flush();
+                    blocks.push({ type: 'image', path, alt: node.getAttribute('alt') || '' });
+                }
+                return;
+            }
+
+            const heading = /^h([1-6])$/.exec(tagName);
+            if (heading) {
+                flush();
+                Array.from(node.childNodes).forEach(walk);
+                const text = takeText();
+                if (text) blocks.push({ type: 'heading', level: parseInt(heading[1], 10), text });
+                return;
+            }
+
+            const isBlock = blockTags.has(tagName);
+            if (isBlock) flush();
+            Array.from(node.childNodes).forEach(walk);
+            if (isBlock) flush();
+        };
+
+        walk(doc.getElementsByTagName('body')[0] || doc.documentElement);
+        flush();
+
+        return blocks;
+    }
+
+    /**
+     * 读取翻页方向和版式属性
+     * 翻页方向优先取spine的page-progression-direction，其次Kindle的primary-writing-mode
+     * @param {Document} doc - OPF文档
+     * @returns {object} {direction: ltr|rtl|default, layout: reflowable|pre-paginated, spread, orientation}
+     */
+    parseRendition(doc) {
+        const rendition = this.getDefaultRendition();
+
+        const spine = doc.getElementsByTagNameNS('*', 'spine')[0];
+        const progression = spine ? (spine.getAttribute('page-progression-direction') || '').toLowerCase() : '';
+        const getNamedMeta = (name) => {
+            const meta = Array.from(doc.getElementsByTagNameNS('*', 'meta')).find(m => m.getAttribute('name') === name);
+            return meta ? (meta.getAttribute('content') || '').trim().toLowerCase() : '';
+        };
+
+        if (progression === 'ltr' || progression === 'rtl') {
+            rendition.direction = progression;
+        } else {
+            const writingMode = getNamedMeta('primary-writing-mode');
+            if (/-rl$/.test(writingMode)) {
+                rendition.direction = 'rtl';
+            } else if (writingMode === 'horizontal-lr') {
+                rendition.direction = 'ltr';
+            }
+        }
+
+        const layout = this.getMetaProperty(doc, 'rendition:layout');
+        if (layout) {
+            rendition.layout = layout;
+        } else if (getNamedMeta('fixed-layout') === 'true') {
+            rendition.layout = 'pre-paginated';
+        }
+
+        rendition.spread = this.getMetaProperty(doc, 'rendition:spread') || rendition.spread;
+        rendition.orientation = this.getMetaProperty(doc, 'rendition:orientation') || rendition.orientation;
+
+        return rendition;
+    }
+
+    /**
+     * 根据spine项的properties获取跨页位置
+     * @param {string} properties - itemref的properties属性
+     * @returns {string|null} left | right | center，未声明时返回null
+     */
+    getPageSpread(properties) {
+        const tokens = properties.split(/\s+/);
+        for (const side of ['left', 'right', 'center']) {
+            if (tokens.includes(`page-spread-${side}`) || tokens.includes(`rendition:page-spread-${side}`)) {
+                return side;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * 获取默认的翻页方向和版式属性
+     * @returns {object} 默认属性
+     */
+    getDefaultRendition() {
+        return {
+            direction: 'default',
+            layout: 'reflowable',
+            spread: 'auto',
+            orientation: 'auto'
+        };
+    }
+
+    /**
+     * 查找OPF中声明的封面
+     * @param {Document} doc - OPF文档
+     * @param {object[]} manifest - 清单项数组
+     * @param {string} opfPath - OPF文件路径
+     * @returns {object} {coverPath: 封面图片路径, coverPagePath: 封面页面路径（只有guide声明时）}
+     */
+    findCoverReference(doc, manifest, opfPath) {
+        const isImage = (item) => /^image\//.test(item.mediaType) && item.mediaType !== 'image/svg+xml';
+
+        // EPUB3：<item properties="cover-image" .../>
+        const coverImageItem = manifest.find(item => item.properties.split(/\s+/).includes('cover-image'));
+        if (coverImageItem && coverImageItem.path) {
+            return { coverPath: coverImageItem.path, coverPagePath: '' };
+        }
+
+        // EPUB2：<meta name="cover" content="清单项ID"/>（部分文件直接写成图片路径）
+        const coverMeta = Array.from(doc.getElementsByTagNameNS('*', 'meta'))
+            .find(meta => meta.getAttribute('name') === 'cover');
+        if (coverMeta) {
+            const content = coverMeta.getAttribute('content') || '';
+            const item = manifest.find(i => i.id === content) || manifest.find(i => i.href === content);
+            if (item && item.path && isImage(item)) {
+                return { coverPath: item.path, coverPagePath: '' };
+            }
+        }
+
+        // guide：<reference type="cover" href="cover.xhtml"/>
+        const reference = Array.from(doc.getElementsByTagNameNS('*', 'reference'))
+            .find(ref => (ref.getAttribute('type') || '').toLowerCase() === 'cover');
+        if (reference) {
+            const path = this.resolveHref(opfPath, reference.getAttribute('href') || '');
+            if (path) {
+                const item = manifest.find(i => i.path === path);
+                const pointsToImage = item ? isImage(item) : /\.(jpe?g|png|gif|webp|bmp)$/i.test(path);
+                return pointsToImage
+                    ? { coverPath: path, coverPagePath: '' }
+                    : { coverPath: '', coverPagePath: path };
+            }
         }
+
+        return { coverPath: '', coverPagePath: '' };
+    }
+
+    /**
+     * 执行依赖DOMParser的解析方法
+     * Worker中没有DOMParser，此时通过xmlDelegate交给主线程执行，方法的参数和返回值必须可序列化
+     * @param {string} method - 方法名
+     * @param {...any} args - 参数
+     * @returns {Promise<any>} 解析结果
+     */
+    async runXmlTask(method, ...args) {
+        if (typeof DOMParser === 'undefined' && this.xmlDelegate) {
+            return this.xmlDelegate(method, args);
+        }
+        return this[method](...args);
     }
 
     /**
@@ -323,6 +1221,7 @@ class EpubParser {
 
     /**
      * 解析OPF文件元数据
+     * 同时保留完整的元数据模型（多值字段与refines细化信息）和兼容旧代码的单值字段
      * @param {string} opfXml - OPF文件内容
      * @returns {object} 元数据
      */
@@ -330,15 +1229,75 @@ class EpubParser {
         try {
             const parser = new DOMParser();
             const doc = parser.parseFromString(opfXml, 'text/xml');
-            
+            const packageElement = doc.documentElement;
+            const refinements = this.collectRefinements(doc);
+
+            const titles = this.getDcElements(doc, 'title')
+                .map(element => ({
+                    value: element.textContent.trim(),
+                    type: this.getRefinement(refinements, element, 'title-type'),
+                    fileAs: this.getRefinement(refinements, element, 'file-as') || this.getOpfAttribute(element, 'file-as'),
+                    displaySeq: this.parseSeriesIndex(this.getRefinement(refinements, element, 'display-seq')),
+                    language: element.getAttribute('xml:lang') || ''
+                }))
+                .filter(title => title.value);
+
+            const creators = this.parseContributors(doc, 'creator', refinements);
+            const contributors = this.parseContributors(doc, 'contributor', refinements);
+
+            const uniqueIdentifierId = packageElement ? packageElement.getAttribute('unique-identifier') : '';
+            const identifiers = this.getDcElements(doc, 'identifier')
+                .map(element => {
+                    const value = element.textContent.trim();
+                    return {
+                        value,
+                        scheme: this.getIdentifierScheme(element, value, refinements),
+                        isUnique: !!uniqueIdentifierId && element.getAttribute('id') === uniqueIdentifierId
+                    };
+                })
+                .filter(identifier => identifier.value);
+
+            const dates = this.getDcElements(doc, 'date')
+                .map(element => ({
+                    value: element.textContent.trim(),
+                    event: this.getOpfAttribute(element, 'event')
+                }))
+                .filter(date => date.value);
+
+            const languages = this.getDcValues(doc, 'language');
+            const publishers = this.getDcValues(doc, 'publisher');
+            const descriptions = this.getDcValues(doc, 'description');
+
+            // 主标题：title-type为main的标题，没有则取第一个
+            const mainTitle = titles.find(title => title.type === 'main') || titles[0];
+            // 作者：role为aut或未标注角色的创作者，没有则使用全部创作者
+            const authors = creators.filter(creator => !creator.role || creator.role === 'aut');
+            const publicationDate = dates.find(date => date.event === 'publication') || dates[0];
+            const primaryIdentifier = identifiers.find(identifier => identifier.isUnique) || identifiers[0];
+            // 声明为ISBN但校验位不正确的标识符不作为ISBN
+            const isbn = identifiers.find(identifier => identifier.scheme === 'ISBN' && this.normalizeIsbn(identifier.value));
+
             const metadata = {
-                title: this.getMetadataValue(doc, 'title') || '未知标题',
-                creator: this.getMetadataValue(doc, 'creator') || '未知作者',
-                language: this.getMetadataValue(doc, 'language') || 'zh',
-                publisher: this.getMetadataValue(doc, 'publisher') || '',
-                date: this.getMetadataValue(doc, 'date') || '',
-                description: this.getMetadataValue(doc, 'description') || '',
-                identifier: this.getMetadataValue(doc, 'identifier') || ''
+                title: mainTitle ? mainTitle.value : '未知标题',
+                creator: (authors.length > 0 ? authors : creators).map(creator => creator.name).join(', ') || '未知作者',
+                language: languages[0] || 'zh',
+                publisher: publishers[0] || '',
+                date: publicationDate ? publicationDate.value : '',
+                description: descriptions[0] || '',
+                identifier: primaryIdentifier ? primaryIdentifier.value : '',
+                isbn: isbn ? this.normalizeIsbn(isbn.value) : '',
+                version: packageElement ? packageElement.getAttribute('version') || '' : '',
+                titles,
+                creators,
+                contributors,
+                identifiers,
+                dates,
+                languages,
+                publishers,
+                subjects: this.getDcValues(doc, 'subject'),
+                rights: this.getDcValues(doc, 'rights').join('\n'),
+                modified: this.getMetaProperty(doc, 'dcterms:modified'),
+                ...this.getSeriesMetadata(doc)
             };
             
             return metadata;
@@ -349,14 +1308,216 @@ class EpubParser {
     }
 
     /**
-     * 获取元数据值
-     * @param {Document} doc - XML文档
-     * @param {string} tagName - 标签名
-     * @returns {string} 元数据值
+     * 获取Dublin Core元素（兼容带前缀和未声明命名空间的写法）
+     * @param {Document} doc - OPF文档
+     * @param {string} tagName - 标签名（不含dc:前缀）
+     * @returns {Element[]} 元素数组
+     */
+    getDcElements(doc, tagName) {
+        const elements = Array.from(doc.getElementsByTagNameNS(this.dcNamespace, tagName));
+        return elements.length > 0 ? elements : Array.from(doc.getElementsByTagName(`dc:${tagName}`));
+    }
+
+    /**
+     * 获取Dublin Core元素的全部非空文本
+     * @param {Document} doc - OPF文档
+     * @param {string} tagName - 标签名（不含dc:前缀）
+     * @returns {string[]} 文本数组
+     */
+    getDcValues(doc, tagName) {
+        return this.getDcElements(doc, tagName)
+            .map(element => element.textContent.trim())
+            .filter(Boolean);
+    }
+
+    /**
+     * 读取EPUB2的opf:前缀属性（如opf:role、opf:file-as、opf:scheme）
+     * @param {Element} element - 元素
+     * @param {string} name - 属性名（不含前缀）
+     * @returns {string} 属性值
+     */
+    getOpfAttribute(element, name) {
+        return (element.getAttributeNS(this.opfNamespace, name) || element.getAttribute(`opf:${name}`) || '').trim();
+    }
+
+    /**
+     * 收集EPUB3的refines细化信息
+     * @param {Document} doc - OPF文档
+     * @returns {Map<string, object[]>} 被细化元素ID -> [{property, value, scheme}]
+     */
+    collectRefinements(doc) {
+        const refinements = new Map();
+
+        Array.from(doc.getElementsByTagNameNS('*', 'meta')).forEach(meta => {
+            const refines = meta.getAttribute('refines');
+            const property = meta.getAttribute('property');
+            if (!refines || !property || !refines.startsWith('#')) return;
+
+            const id = refines.slice(1);
+            if (!refinements.has(id)) {
+                refinements.set(id, []);
+            }
+            refinements.get(id).push({
+                property,
+                value: meta.textContent.trim(),
+                scheme: meta.getAttribute('scheme') || ''
+            });
+        });
+
+        return refinements;
+    }
+
+    /**
+     * 获取元素的细化值
+     * @param {Map<string, object[]>} refinements - refines细化信息
+     * @param {Element} element - 被细化的元素
+     * @param {string} property - 属性名（如 role、file-as、title-type）
+     * @returns {string} 细化值，没有时返回空字符串
+     */
+    getRefinement(refinements, element, property) {
+        const id = element.getAttribute('id');
+        const entries = id ? refinements.get(id) : null;
+        const entry = entries ? entries.find(e => e.property === property) : null;
+        return entry ? entry.value : '';
+    }
+
+    /**
+     * 解析创作者/贡献者列表
+     * @param {Document} doc - OPF文档
+     * @param {string} tagName - creator 或 contributor
+     * @param {Map<string, object[]>} refinements - refines细化信息
+     * @returns {object[]} [{name, role, fileAs}]，role为MARC关系代码（如 aut、ill、trl）
+     */
+    parseContributors(doc, tagName, refinements) {
+        return this.getDcElements(doc, tagName)
+            .map(element => ({
+                name: element.textContent.trim(),
+                role: (this.getRefinement(refinements, element, 'role') || this.getOpfAttribute(element, 'role')).toLowerCase(),
+                fileAs: this.getRefinement(refinements, element, 'file-as') || this.getOpfAttribute(element, 'file-as')
+            }))
+            .filter(person => person.name);
+    }
+
+    /**
+     * 判断标识符类型：EPUB2的opf:scheme、EPUB3的identifier-type，均没有时按内容识别
+     * @param {Element} element - dc:identifier元素
+     * @param {string} value - 标识符文本
+     * @param {Map<string, object[]>} refinements - refines细化信息
+     * @returns {string} 标识符类型（ISBN、UUID、DOI等，无法识别返回空字符串）
+     */
+    getIdentifierScheme(element, value, refinements) {
+        const declared = this.getOpfAttribute(element, 'scheme') ||
+            this.getRefinement(refinements, element, 'identifier-type');
+
+        if (declared) {
+            return this.onixIdentifierTypes[declared] || declared.toUpperCase();
+        }
+
+        if (/^urn:uuid:/i.test(value) || /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(value)) {
+            return 'UUID';
+        }
+        if (this.normalizeIsbn(value)) {
+            return 'ISBN';
+        }
+        if (/^(urn:)?doi:/i.test(value) || /^10\.\d{4,}\//.test(value)) {
+            return 'DOI';
+        }
+        return '';
+    }
+
+    /**
+     * 规范化ISBN（去掉urn:isbn:前缀和连字符）
+     * @param {string} value - 标识符文本
+     * @returns {string} 10位或13位ISBN，不是ISBN或校验位不正确时返回空字符串
+     */
+    normalizeIsbn(value) {
+        const digits = String(value).replace(/^urn:isbn:/i, '').replace(/^isbn:?\s*/i, '').replace(/[\s-]/g, '').toUpperCase();
+        if (!/^(97[89]\d{10}|\d{9}[\dX])$/.test(digits)) {
+            return '';
+        }
+        return this.isValidIsbnChecksum(digits) ? digits : '';
+    }
+
+    /**
+     * 校验ISBN校验位
+     * ISBN-10：各位依次乘以10到1（X表示10），和能被11整除
+     * ISBN-13：各位交替乘以1和3，和能被10整除
+     * @param {string} digits - 已规范化的10位或13位ISBN
+     * @returns {boolean} 校验位是否正确
+     */
+    isValidIsbnChecksum(digits) {
+        const values = Array.from(digits, char => (char === 'X' ? 10 : parseInt(char, 10)));
+
+        if (values.length === 10) {
+            const sum = values.reduce((total, value, index) => total + value * (10 - index), 0);
+            return sum % 11 === 0;
+        }
+
+        const sum = values.reduce((total, value, index) => total + value * (index % 2 === 0 ? 1 : 3), 0);
+        return sum % 10 === 0;
+    }
+
+    /**
+     * 获取EPUB3 meta属性值（如 dcterms:modified）
+     * @param {Document} doc - OPF文档
+     * @param {string} property - 属性名
+     * @returns {string} 属性值
+     */
+    getMetaProperty(doc, property) {
+        const meta = Array.from(doc.getElementsByTagNameNS('*', 'meta'))
+            .find(m => m.getAttribute('property') === property && !m.getAttribute('refines'));
+        return meta ? meta.textContent.trim() : '';
+    }
+
+    /**
+     * 读取系列信息：优先EPUB3的belongs-to-collection，其次calibre:series
+     * @param {Document} doc - OPF文档
+     * @returns {object} {series: 系列名, seriesIndex: 系列中的序号（可能为小数）}
+     */
+    getSeriesMetadata(doc) {
+        const metas = Array.from(doc.getElementsByTagNameNS('*', 'meta'));
+
+        const getRefinement = (id, property) => {
+            const meta = metas.find(m => m.getAttribute('refines') === `#${id}` && m.getAttribute('property') === property);
+            return meta ? meta.textContent.trim() : '';
+        };
+
+        // EPUB3：<meta property="belongs-to-collection" id="c1">系列名</meta>
+        //        <meta refines="#c1" property="group-position">2</meta>
+        const collections = metas.filter(m => m.getAttribute('property') === 'belongs-to-collection');
+        if (collections.length > 0) {
+            const collection = collections.find(c => c.getAttribute('id') &&
+                getRefinement(c.getAttribute('id'), 'collection-type') === 'series') || collections[0];
+            const id = collection.getAttribute('id');
+
+            return {
+                series: collection.textContent.trim(),
+                seriesIndex: id ? this.parseSeriesIndex(getRefinement(id, 'group-position')) : null
+            };
+        }
+
+        // calibre：<meta name="calibre:series" content="系列名"/>
+        const calibreSeries = metas.find(m => m.getAttribute('name') === 'calibre:series');
+        if (calibreSeries) {
+            const calibreIndex = metas.find(m => m.getAttribute('name') === 'calibre:series_index');
+
+            return {
+                series: (calibreSeries.getAttribute('content') || '').trim(),
+                seriesIndex: calibreIndex ? this.parseSeriesIndex(calibreIndex.getAttribute('content')) : null
+            };
+        }
+
+        return { series: '', seriesIndex: null };
+    }
+
+    /**
+     * 解析系列序号
+     * @param {string} value - 序号文本（如 "2"、"2.0"、"1.5"）
+     * @returns {number|null} 序号，无法识别返回null
      */
-    getMetadataValue(doc, tagName) {
-        const element = doc.querySelector(`metadata ${tagName}, metadata dc\\:${tagName}`);
-        return element ? element.textContent.trim() : '';
+    parseSeriesIndex(value) {
+        const index = parseFloat(value);
+        return Number.isFinite(index) ? index : null;
     }
 
     /**
@@ -371,7 +1532,21 @@ class EpubParser {
             publisher: '',
             date: '',
             description: '',
-            identifier: ''
+            identifier: '',
+            isbn: '',
+            version: '',
+            titles: [],
+            creators: [],
+            contributors: [],
+            identifiers: [],
+            dates: [],
+            languages: [],
+            publishers: [],
+            subjects: [],
+            rights: '',
+            modified: '',
+            series: '',
+            seriesIndex: null
         };
     }
 
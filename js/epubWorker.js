@@ -0,0 +1,153 @@
+// EPUB处理Worker脚本（由WorkerPool加载，在独立线程中执行解析和打包）
+self.window = self;
+
+importScripts(
+    'https://cdnjs.cloudflare.com/ajax/libs/jszip/3.10.1/jszip.min.js',
+    'utils.js',
+    'epubParser.js',
+    'textExporter.js',
+    'zipGenerator.js',
+    'pdfGenerator.js',
+    'outputWriter.js',
+    'pageAnalyzer.js',
+    'imageTranscoder.js',
+    'spreadProcessor.js'
+);
+
+class EpubWorker {
+    constructor() {
+        this.epubParser = new EpubParser();
+        this.zipGenerator = new ZipGenerator();
+        this.pdfGenerator = new PdfGenerator();
+        this.outputWriter = new OutputWriter(this.zipGenerator, this.pdfGenerator);
+        this.pageAnalyzer = new PageAnalyzer();
+        this.imageTranscoder = new ImageTranscoder();
+        this.spreadProcessor = new SpreadProcessor();
+        this.pendingXmlCalls = new Map(); // 等待主线程返回的XML解析请求
+        this.nextCallId = 1;
+
+        // Worker中没有DOMParser，XML解析交给主线程完成
+        this.epubParser.xmlDelegate = (method, args) => this.requestXml(method, args);
+
+        self.onmessage = (e) => this.handleMessage(e.data);
+
+        // 通知主线程脚本已加载完成，之后的运行错误只影响当前Worker
+        self.postMessage({ type: 'ready' });
+    }
+
+    /**
+     * 处理主线程消息
+     * @param {object} message - 消息数据
+     */
+    handleMessage(message) {
+        switch (message.type) {
+            case 'job':
+                this.runJob(message.jobId, message.jobType, message.payload);
+                break;
+
+            case 'xmlResult':
+                this.resolveXml(message);
+                break;
+
+            default:
+                console.warn('未知的主线程消息:', message);
+        }
+    }
+
+    /**
+     * 执行任务并回传结果
+     * @param {string} jobId - 任务ID
+     * @param {string} jobType - 任务类型 (parse, metadata, analyze, spreads, transcode, pack)
+     * @param {object} payload - 任务数据
+     */
+    async runJob(jobId, jobType, payload) {
+        const progressCallback = (progress) => {
+            self.postMessage({ type: 'progress', jobId, progress });
+        };
+
+        try {
+            let result;
+
+            switch (jobType) {
+                case 'parse':
+                    result = await this.epubParser.parseEpub(payload.file, progressCallback, payload.options);
+                    break;
+
+                case 'metadata':
+                    result = await this.epubParser.readMetadata(payload.file);
+                    break;
+
+                case 'analyze':
+                    result = await this.pageAnalyzer.analyzeImages(payload.images, progressCallback);
+                    break;
+
+                case 'spreads':
+                    result = await this.spreadProcessor.processSpreads(payload.images, payload.options, progressCallback);
+                    break;
+
+                case 'transcode':
+                    result = await this.imageTranscoder.transcodeImages(payload.images, payload.options, progressCallback);
+                    break;
+
+                case 'pack':
+                    this.applyZipOptions(payload.options);
+                    result = await this.outputWriter.pack(
+                        payload.images,
+                        payload.fileName,
+                        progressCallback,
+                        payload.options
+                    );
+                    break;
+
+                default:
+                    throw new Error(`未知的任务类型: ${jobType}`);
+            }
+
+            self.postMessage({ type: 'done', jobId, result });
+        } catch (error) {
+            self.postMessage({ type: 'error', jobId, error: error.message || '任务失败' });
+        }
+    }
+
+    /**
+     * 应用主线程传入的打包配置
+     * @param {object} options - 打包配置
+     */
+    applyZipOptions(options = {}) {
+        if (options.compressionLevel !== undefined) {
+            this.zipGenerator.setCompressionLevel(options.compressionLevel);
+        }
+    }
+
+    /**
+     * 请求主线程执行XML解析
+     * @param {string} method - EpubParser方法名
+     * @param {any[]} args - 参数
+     * @returns {Promise<any>} 解析结果
+     */
+    requestXml(method, args) {
+        return new Promise((resolve, reject) => {
+            const callId = this.nextCallId++;
+            this.pendingXmlCalls.set(callId, { resolve, reject });
+            self.postMessage({ type: 'xml', callId, method, args });
+        });
+    }
+
+    /**
+     * 处理主线程返回的XML解析结果
+     * @param {object} message - 结果消息
+     */
+    resolveXml(message) {
+        const call = this.pendingXmlCalls.get(message.callId);
+        if (!call) return;
+
+        this.pendingXmlCalls.delete(message.callId);
+        if (message.error) {
+            call.reject(new Error(message.error));
+        } else {
+            call.resolve(message.result);
+        }
+    }
+}
+
+new EpubWorker();
\ No newline at end of file
@@ -15,6 +15,7 @@ class FileHandler {
     init() {
         this.setupEventListeners();
         this.setupDragAndDrop();
+        this.setupReorder();
     }
 
     /**
@@ -90,6 +91,58 @@ class FileHandler {
         });
     }
 
+    /**
+     * 设置文件列表的拖拽排序
+     */
+    setupReorder() {
+        const fileList = document.getElementById('fileList');
+        if (!fileList) return;
+
+        let draggedId = null;
+
+        const clearDropTargets = () => {
+            fileList.querySelectorAll('.drop-target').forEach(card => card.classList.remove('drop-target'));
+        };
+
+        fileList.addEventListener('dragstart', (e) => {
+            const card = e.target.closest ? e.target.closest('.file-card') : null;
+            if (!card) return;
+
+            draggedId = card.dataset.fileId;
+            card.classList.add('dragging');
+            e.dataTransfer.effectAllowed = 'move';
+            e.dataTransfer.setData('text/plain', draggedId);
+        });
+
+        fileList.addEventListener('dragover', (e) => {
+            if (!draggedId) return;
+
+            const card = e.target.closest('.file-card');
+            e.preventDefault();
+            clearDropTargets();
+            if (card && card.dataset.fileId !== draggedId) {
+                card.classList.add('drop-target');
+            }
+        });
+
+        fileList.addEventListener('drop', (e) => {
+            if (!draggedId) return;
+            e.preventDefault();
+
+            const card = e.target.closest('.file-card');
+            const targetFile = card ? this.selectedFiles.get(card.dataset.fileId) : null;
+            if (targetFile && targetFile.id !== draggedId && targetFile.sequenceNumber) {
+                this.setSequenceOverride(draggedId, targetFile.sequenceNumber);
+            }
+        });
+
+        fileList.addEventListener('dragend', () => {
+            draggedId = null;
+            clearDropTargets();
+            fileList.querySelectorAll('.dragging').forEach(card => card.classList.remove('dragging'));
+        });
+    }
+
     /**
      * 阻止默认事件
      * @param {Event} e - 事件对象
@@ -167,8 +220,18 @@ class FileHandler {
                 file: file,
                 name: file.name,
                 size: file.size,
-                status: 'waiting', // waiting, processing, completed, error
+                status: 'waiting', // waiting, processing, completed, error, cancelled
                 outputName: '', // 将在nameProcessor中生成
+                outputFolder: '', // 按系列分组时的子文件夹
+                metadata: null, // EPUB元数据（输出文件名模板用到元数据字段时读取）
+                sequenceNumber: null, // 当前输出序号
+                sequenceOverride: null, // 手动指定的序号（拖动或输入序号，排序设置变化时未锁定的会被清除）
+                locked: false, // 是否锁定在手动指定的位置
+                lockedAt: 0, // 锁定时间，多个文件锁定到同一位置时后锁定的优先
+                movedAt: 0, // 手动调整位置的时间，未锁定的文件指定到同一位置时后调整的优先
+                excludedPages: [], // 在预览中取消选择的页面（图片originalPath）
+                includedPages: [], // 在预览中手动保留的页面（不被自动过滤）
+                spreadPages: [], // 在预览中标记为与下一页合并成跨页的页面
                 progress: 0,
                 error: null
             };
@@ -245,8 +308,8 @@ class FileHandler {
             return;
         }
 
-        // 创建文件卡片
-        const files = Array.from(this.selectedFiles.values());
+        // 按输出序号创建文件卡片
+        const files = this.getOrderedFiles();
         files.forEach((fileObj, index) => {
             const fileCard = this.createFileCard(fileObj, index);
             fileList.appendChild(fileCard);
@@ -261,23 +324,34 @@ class FileHandler {
      */
     createFileCard(fileObj, index) {
         const card = document.createElement('div');
-        card.className = 'file-card enter-animation';
+        card.className = `file-card enter-animation${fileObj.locked ? ' locked' : ''}`;
         card.style.animationDelay = `${index * 0.1}s`;
+        card.draggable = true;
+        card.dataset.fileId = fileObj.id;
         
         card.innerHTML = `
             <div class="file-card-header">
+                <div class="drag-handle" title="拖动调整顺序">⋮⋮</div>
                 <div class="file-info">
                     <div class="file-name" title="${fileObj.name}">${fileObj.name}</div>
                     <div class="file-size">${Utils.formatFileSize(fileObj.size)}</div>
                 </div>
                 <div class="file-actions">
+                    <input type="number" class="sequence-input" min="1" max="${this.selectedFiles.size}"
+                           value="${fileObj.sequenceNumber || ''}" title="输出序号"
+                           onchange="window.fileHandler.setSequenceOverride('${fileObj.id}', this.value)">
+                    <button class="preview-btn" onclick="window.fileHandler.requestPreview('${fileObj.id}')"
+                            title="预览页面">🖼</button>
+                    <button class="lock-btn${fileObj.locked ? ' locked' : ''}" onclick="window.fileHandler.toggleLock('${fileObj.id}')"
+                            title="${fileObj.locked ? '已锁定位置，点击恢复自动排序' : '锁定当前位置'}">${fileObj.locked ? '🔒' : '🔓'}</button>
                     <button class="remove-btn" onclick="window.fileHandler.removeFile('${fileObj.id}')" 
                             title="移除文件">×</button>
                 </div>
             </div>
             <div class="file-card-footer">
                 <div class="output-name">
-                    输出: <strong>${fileObj.outputName || '待生成...'}</strong>
+                    输出: <strong>${fileObj.outputFolder ? `${fileObj.outputFolder}/` : ''}${fileObj.outputName || '待生成...'}</strong>
+                    ${fileObj.excludedPages.length > 0 ? `<span class="excluded-count">（已排除 ${fileObj.excludedPages.length} 页）</span>` : ''}
                 </div>
                 <div class="status-indicator ${fileObj.status}">
                     ${this.getStatusText(fileObj.status)}
@@ -298,7 +372,8 @@ class FileHandler {
             waiting: '等待处理',
             processing: '处理中',
             completed: '已完成',
-            error: '处理失败'
+            error: '处理失败',
+            cancelled: '已取消'
         };
         return statusMap[status] || '未知状态';
     }
@@ -346,6 +421,121 @@ class FileHandler {
         return Array.from(this.selectedFiles.values());
     }
 
+    /**
+     * 按输出序号获取所有文件（尚未生成序号的文件排在最后）
+     * @returns {object[]} 文件对象数组
+     */
+    getOrderedFiles() {
+        const files = this.getAllFiles();
+        return files
+            .map((fileObj, index) => ({ fileObj, index }))
+            .sort((a, b) => {
+                const sequenceA = a.fileObj.sequenceNumber || Infinity;
+                const sequenceB = b.fileObj.sequenceNumber || Infinity;
+                return sequenceA === sequenceB ? a.index - b.index : sequenceA - sequenceB;
+            })
+            .map(({ fileObj }) => fileObj);
+    }
+
+    /**
+     * 手动指定文件序号（不锁定，其余文件按自动排序填充剩余位置）
+     * @param {string} fileId - 文件ID
+     * @param {number|string} sequenceNumber - 序号（从1开始）
+     */
+    setSequenceOverride(fileId, sequenceNumber) {
+        const fileObj = this.selectedFiles.get(fileId);
+        if (!fileObj) return;
+
+        const value = parseInt(sequenceNumber, 10);
+        if (!Number.isInteger(value) || value < 1) {
+            Utils.showNotification('序号必须是大于0的整数', 'warning');
+            this.updateFileList();
+            return;
+        }
+
+        fileObj.sequenceOverride = Math.min(value, this.selectedFiles.size);
+        fileObj.movedAt = Date.now();
+
+        this.emit('orderChanged', fileObj);
+    }
+
+    /**
+     * 清除未锁定文件的手动位置（排序设置变化时调用），锁定的文件保持不变
+     */
+    clearManualPositions() {
+        this.selectedFiles.forEach(fileObj => {
+            if (!fileObj.locked) {
+                fileObj.sequenceOverride = null;
+                fileObj.movedAt = 0;
+            }
+        });
+    }
+
+    /**
+     * 切换文件位置锁定：锁定在当前序号，或解除锁定恢复自动排序
+     * @param {string} fileId - 文件ID
+     */
+    toggleLock(fileId) {
+        const fileObj = this.selectedFiles.get(fileId);
+        if (!fileObj) return;
+
+        if (fileObj.locked) {
+            fileObj.locked = false;
+            fileObj.sequenceOverride = null;
+            fileObj.movedAt = 0;
+        } else {
+            fileObj.locked = true;
+            fileObj.sequenceOverride = fileObj.sequenceNumber;
+            fileObj.lockedAt = Date.now();
+        }
+
+        this.emit('orderChanged', fileObj);
+    }
+
+    /**
+     * 请求预览文件页面
+     * @param {string} fileId - 文件ID
+     */
+    requestPreview(fileId) {
+        const fileObj = this.selectedFiles.get(fileId);
+        if (fileObj) {
+            this.emit('previewRequested', fileObj);
+        }
+    }
+
+    /**
+     * 设置页面是否从输出中排除（手动保留的页面不再被自动过滤）
+     * @param {string} fileId - 文件ID
+     * @param {string} path - 页面图片的originalPath
+     * @param {boolean} excluded - 是否排除
+     */
+    setPageExcluded(fileId, path, excluded) {
+        const fileObj = this.selectedFiles.get(fileId);
+        if (!fileObj) return;
+
+        fileObj.excludedPages = fileObj.excludedPages.filter(p => p !== path);
+        fileObj.includedPages = fileObj.includedPages.filter(p => p !== path);
+        (excluded ? fileObj.excludedPages : fileObj.includedPages).push(path);
+
+        this.updateFileList();
+    }
+
+    /**
+     * 设置页面是否与下一页合并为跨页
+     * @param {string} fileId - 文件ID
+     * @param {string} path - 页面图片的originalPath
+     * @param {boolean} merged - 是否合并
+     */
+    setSpreadStart(fileId, path, merged) {
+        const fileObj = this.selectedFiles.get(fileId);
+        if (!fileObj) return;
+
+        fileObj.spreadPages = fileObj.spreadPages.filter(p => p !== path);
+        if (merged) {
+            fileObj.spreadPages.push(path);
+        }
+    }
+
     /**
      * 获取文件数量
      * @returns {number} 文件数量
@@ -388,10 +578,17 @@ class FileHandler {
      * @param {object[]} nameMapping - 名称映射数组
      */
     updateOutputNames(nameMapping) {
-        nameMapping.forEach(({ fileId, outputName }) => {
+        nameMapping.forEach(({ fileId, outputName, folder, sequenceNumber }) => {
             const fileObj = this.selectedFiles.get(fileId);
             if (fileObj) {
                 fileObj.outputName = outputName;
+                fileObj.outputFolder = folder || '';
+                fileObj.sequenceNumber = sequenceNumber;
+
+                // 手动指定的位置冲突时会被顺延，记录实际所在的位置
+                if (fileObj.sequenceOverride) {
+                    fileObj.sequenceOverride = sequenceNumber;
+                }
             }
         });
 
@@ -399,6 +596,18 @@ class FileHandler {
         this.updateFileList();
     }
 
+    /**
+     * 更新文件的EPUB元数据
+     * @param {string} fileId - 文件ID
+     * @param {object} metadata - EPUB元数据
+     */
+    updateFileMetadata(fileId, metadata) {
+        const fileObj = this.selectedFiles.get(fileId);
+        if (fileObj) {
+            fileObj.metadata = metadata;
+        }
+    }
+
     /**
      * 事件发射器
      * @param {string} eventName - 事件名称
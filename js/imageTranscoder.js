@@ -0,0 +1,185 @@
+// 图片格式转换模块
+class ImageTranscoder {
+    constructor() {
+        this.formats = {
+            jpeg: { mimeType: 'image/jpeg', extension: 'jpg', lossy: true },
+            webp: { mimeType: 'image/webp', extension: 'webp', lossy: true },
+            avif: { mimeType: 'image/avif', extension: 'avif', lossy: true },
+            png: { mimeType: 'image/png', extension: 'png', lossy: false }
+        };
+        this.defaultQuality = 0.85; // 有损格式的编码质量 (0-1)
+        // 矢量图和动图转换后会丢失内容，保留原图
+        this.skippedMimeTypes = ['image/svg+xml', 'image/gif'];
+    }
+
+    /**
+     * 检查当前环境是否可以解码并重新编码图片
+     * @returns {boolean} 是否支持
+     */
+    static isSupported() {
+        return typeof createImageBitmap !== 'undefined' &&
+            (typeof OffscreenCanvas !== 'undefined' || typeof document !== 'undefined');
+    }
+
+    /**
+     * 将图片转换为目标格式
+     * 转换后文件变大、目标格式与原图相同（无损格式）或无法转换时保留原图
+     * @param {object[]} images - 图片数组
+     * @param {object} options - 转换选项 {format: jpeg|webp|avif|png, quality: 0-1}
+     * @param {Function} progressCallback - 进度回调函数（可选）
+     * @param {AbortSignal} signal - 中止信号（可选）
+     * @returns {Promise<object>} {images: 转换后的图片数组, stats: 转换统计}
+     */
+    async transcodeImages(images, options = {}, progressCallback, signal) {
+        const target = this.formats[options.format];
+        if (!target) {
+            throw new Error(`不支持的图片格式: ${options.format}`);
+        }
+
+        const quality = options.quality > 0 && options.quality <= 1 ? options.quality : this.defaultQuality;
+        const stats = {
+            format: options.format,
+            quality: target.lossy ? quality : null,
+            originalSize: 0,
+            outputSize: 0,
+            savedBytes: 0,
+            savedRatio: 0,
+            convertedFiles: 0,
+            keptFiles: 0,
+            failedFiles: 0,
+            unsupported: false // 当前环境无法编码为目标格式
+        };
+
+        const results = [];
+        for (let i = 0; i < images.length; i++) {
+            const image = images[i];
+
+            if (signal && signal.aborted) {
+                throw Utils.createAbortError();
+            }
+
+            if (progressCallback) {
+                progressCallback({
+                    current: i + 1,
+                    total: images.length,
+                    fileName: image.fileName,
+                    status: 'transcoding'
+                });
+            }
+
+            const originalSize = image.size || image.blob.size;
+            let output = image;
+
+            if (!stats.unsupported && this.shouldTranscode(image, target)) {
+                try {
+                    const blob = await this.encodeImage(image.blob, target, quality);
+                    if (blob.type !== target.mimeType) {
+                        // 不支持的类型会被静默编码为PNG
+                        stats.unsupported = true;
+                    } else if (blob.size < originalSize) {
+                        output = this.createTranscodedImage(image, blob, target);
+                    }
+                } catch (error) {
+                    console.warn(`图片格式转换失败 ${image.fileName}:`, error);
+                    stats.failedFiles++;
+                }
+            }
+
+            if (output === image) {
+                stats.keptFiles++;
+            } else {
+                stats.convertedFiles++;
+            }
+            stats.originalSize += originalSize;
+            stats.outputSize += output.size;
+            results.push(output);
+        }
+
+        stats.savedBytes = stats.originalSize - stats.outputSize;
+        stats.savedRatio = stats.originalSize > 0
+            ? Math.round(stats.savedBytes / stats.originalSize * 10000) / 100
+            : 0;
+
+        return { images: results, stats };
+    }
+
+    /**
+     * 判断图片是否需要转换
+     * @param {object} image - 图片对象
+     * @param {object} target - 目标格式
+     * @returns {boolean} 是否转换
+     */
+    shouldTranscode(image, target) {
+        if (this.skippedMimeTypes.includes(image.mimeType)) {
+            return false;
+        }
+
+        // 有损格式按质量设置重新编码同类型图片，可能得到更小的文件
+        return target.lossy || image.mimeType !== target.mimeType;
+    }
+
+    /**
+     * 使用Canvas重新编码图片
+     * @param {Blob} blob - 原始图片
+     * @param {object} target - 目标格式
+     * @param {number} quality - 编码质量 (0-1)
+     * @returns {Promise<Blob>} 编码后的图片
+     */
+    async encodeImage(blob, target, quality) {
+        if (!ImageTranscoder.isSupported()) {
+            throw new Error('当前环境不支持图片转换');
+        }
+
+        const bitmap = await createImageBitmap(blob);
+        const { width, height } = bitmap;
+
+        let canvas;
+        if (typeof OffscreenCanvas !== 'undefined') {
+            canvas = new OffscreenCanvas(width, height);
+        } else {
+            canvas = document.createElement('canvas');
+            canvas.width = width;
+            canvas.height = height;
+        }
+
+        const context = canvas.getContext('2d');
+        // JPEG不支持透明通道，透明区域填充白色
+        if (target.mimeType === 'image/jpeg') {
+            context.fillStyle = '#ffffff';
+            context.fillRect(0, 0, width, height);
+        }
+        context.drawImage(bitmap, 0, 0);
+        bitmap.close();
+
+        const encoded = canvas.convertToBlob
+            ? await canvas.convertToBlob({ type: target.mimeType, quality })
+            : await new Promise(resolve => canvas.toBlob(resolve, target.mimeType, quality));
+
+        if (!encoded) {
+            throw new Error('图片编码失败');
+        }
+
+        return encoded;
+    }
+
+    /**
+     * 生成转换后的图片对象（文件名改为目标格式的扩展名）
+     * @param {object} image - 原图片对象
+     * @param {Blob} blob - 转换后的图片数据
+     * @param {object} target - 目标格式
+     * @returns {object} 图片对象
+     */
+    createTranscodedImage(image, blob, target) {
+        return {
+            ...image,
+            fileName: `${Utils.removeFileExtension(image.fileName)}.${target.extension}`,
+            blob: blob,
+            size: blob.size,
+            mimeType: target.mimeType,
+            originalSize: image.size || image.blob.size
+        };
+    }
+}
+
+// 导出图片格式转换类
+window.ImageTranscoder = ImageTranscoder;
\ No newline at end of file
@@ -2,7 +2,41 @@
 class NameProcessor {
     constructor() {
         this.numberPattern = /(\d+)/g; // 匹配数字的正则表达式
+        // 中文/日文数字，只在"第"、"卷"等标记旁边时才作为序号（避免匹配"三体"这类标题）
+        this.cjkNumberPattern = /(第|[卷巻册冊])?([零〇一二三四五六七八九十百千万萬两兩]+)([卷巻册冊话話回章集部篇編编])?/g;
+        // 独立的大写罗马数字，如 "Vol. IV"、"Part II"
+        this.romanNumberPattern = /(^|[\s_\-.(\[【])([IVXLCDM]+)(?=$|[\s_\-.,)\]】])/g;
+        this.romanKeywordPattern = /(?:vol(?:ume)?|part|book|chapter|ch|no|tome|act|episode|ep)\.?\s*$/i;
+        this.maxBareRomanValue = 50; // 没有关键字时罗马数字的最大值（排除 MIX、CD 这类单词）
+        // 数字前后的卷号标记
+        this.numberMarkerBefore = /(?:第|(?:^|[^a-z])(?:vol(?:ume)?|ch(?:apter)?|part|book|no|v)\.?|#|[卷巻册冊])\s*$/i;
+        this.numberMarkerAfter = /^\s*[卷巻册冊话話回章集部篇編编]/;
         this.sortedFiles = []; // 排序后的文件列表
+        this.outputExtension = 'zip'; // 输出文件扩展名
+        this.defaultTemplate = '{seq}.{ext}';
+        this.nameTemplate = this.defaultTemplate; // 输出文件名模板
+        this.builtinFields = ['seq', 'num', 'orig', 'ext', 'series', 'vol']; // 不需要EPUB元数据的模板字段
+        this.maxNameBytes = 240; // 输出文件名最大字节数（UTF-8，多数文件系统上限为255）
+        this.sortSource = 'filename'; // 排序依据 (filename: 仅文件名, metadata: OPF系列序号优先)
+        this.groupBySeries = false; // 是否按系列分组编号
+        this.seriesFolders = false; // 分组时是否为每个系列使用单独的子文件夹
+        this.defaultSeriesFolder = '未命名系列';
+
+        // 卷号/话数标记，按优先级匹配
+        this.volumeMarkers = [
+            { type: 'volume', pattern: /第\s*(\d+|[零〇一二三四五六七八九十百千万萬两兩]+)\s*[卷巻册冊集部]/ },
+            { type: 'chapter', pattern: /第\s*(\d+|[零〇一二三四五六七八九十百千万萬两兩]+)\s*[话話回章]/ },
+            { type: 'volume', pattern: /(?:^|[^a-z])vol(?:ume)?\.?\s*(\d+|[IVXLCDM]+(?![a-z]))/i },
+            { type: 'chapter', pattern: /(?:^|[^a-z])ch(?:apter|\.)?\s*(\d+|[IVXLCDM]+(?![a-z]))/i },
+            { type: 'volume', pattern: /(?:^|[^a-z])v(\d+)/i },
+            { type: 'volume', pattern: /#\s*(\d+)/ }
+        ];
+
+        // 上/中/下、前編/後編等分册标记
+        this.partMarkers = [
+            { pattern: /(?:^|[\s_\-(\[【「『])([上中下])(?=[卷巻册冊]|[\s_\-)\]】」』]|$)/, values: { 上: 1, 中: 2, 下: 3 } },
+            { pattern: /([前後后])[編编篇]/, values: { 前: 1, 後: 2, 后: 2 } }
+        ];
     }
 
     /**
@@ -15,8 +49,8 @@ class NameProcessor {
             // 1. 提取并解析文件名中的数字
             const filesWithNumbers = this.extractNumbers(files);
             
-            // 2. 根据数字排序
-            const sortedFiles = this.sortFilesByNumbers(filesWithNumbers);
+            // 2. 根据数字排序，再放入手动锁定的位置
+            const sortedFiles = this.applyManualOrder(this.sortFilesByNumbers(filesWithNumbers));
             
             // 3. 生成输出文件名
             const nameMapping = this.generateOutputNames(sortedFiles);
@@ -39,32 +73,290 @@ class NameProcessor {
     extractNumbers(files) {
         return files.map(fileObj => {
             const fileName = Utils.removeFileExtension(fileObj.name);
-            const numbers = [];
-            let match;
-
-            // 重置正则表达式
-            this.numberPattern.lastIndex = 0;
-            
-            // 提取所有数字
-            while ((match = this.numberPattern.exec(fileName)) !== null) {
-                numbers.push({
-                    value: parseInt(match[1], 10),
-                    originalString: match[1],
-                    index: match.index,
-                    length: match[1].length
-                });
+            const numbers = this.findNumbers(fileName);
+            const primaryNumber = this.getPrimaryNumber(numbers, fileName);
+            const metadataSeries = this.getMetadataSeries(fileObj);
+            const series = metadataSeries || this.parseSeriesInfo(fileName);
+
+            // OPF中有系列序号时优先于文件名中的数字
+            // 文件名中没有数字时按系列名取哈希，同一系列的分册（上/中/下、前編/後編）排序数字相同，再按分册排序
+            let sortNumber = primaryNumber;
+            if (metadataSeries && metadataSeries.volume !== null) {
+                sortNumber = metadataSeries.volume;
+            } else if (numbers.length === 0) {
+                sortNumber = this.hashCode(series.key || fileName);
             }
 
             return {
                 ...fileObj,
                 fileName: fileName,
                 numbers: numbers,
-                primaryNumber: this.getPrimaryNumber(numbers, fileName),
+                primaryNumber: primaryNumber,
+                sortNumber: sortNumber,
+                series: series,
                 originalIndex: files.indexOf(fileObj)
             };
         });
     }
 
+    /**
+     * 获取OPF元数据中的系列信息（calibre:series 或 belongs-to-collection）
+     * @param {object} fileObj - 文件对象
+     * @returns {object|null} 系列信息，排序依据不是元数据或没有系列信息时返回null
+     */
+    getMetadataSeries(fileObj) {
+        const metadata = fileObj.metadata;
+        if (this.sortSource !== 'metadata' || !metadata || !metadata.series) {
+            return null;
+        }
+
+        const name = metadata.series.trim();
+        const index = metadata.seriesIndex;
+
+        return {
+            name: name,
+            key: this.getSeriesKey(name),
+            volume: index !== null && index !== undefined ? index : null,
+            volumeType: 'volume',
+            part: null,
+            source: 'metadata'
+        };
+    }
+
+    /**
+     * 提取文件名中的所有数字（阿拉伯数字、全角数字、中文/日文数字、罗马数字）
+     * @param {string} fileName - 文件名（不含扩展名）
+     * @returns {object[]} 按位置排列的数字数组
+     */
+    findNumbers(fileName) {
+        // 全角数字逐字替换为半角，字符位置保持不变
+        const text = fileName.replace(/[０-９]/g, char => String.fromCharCode(char.charCodeAt(0) - 0xFEE0));
+        const numbers = [];
+        let match;
+
+        // 阿拉伯数字
+        this.numberPattern.lastIndex = 0;
+        while ((match = this.numberPattern.exec(text)) !== null) {
+            numbers.push(this.createNumber(text, fileName, parseInt(match[1], 10), match.index, match[1].length, 'arabic'));
+        }
+
+        // 中文/日文数字
+        this.cjkNumberPattern.lastIndex = 0;
+        while ((match = this.cjkNumberPattern.exec(text)) !== null) {
+            const [, prefix = '', numeral, suffix] = match;
+            if (!prefix && !suffix) continue;
+
+            const value = this.parseCjkNumeral(numeral);
+            if (value !== null) {
+                numbers.push(this.createNumber(text, fileName, value, match.index + prefix.length, numeral.length, 'cjk'));
+            }
+        }
+
+        // 罗马数字
+        this.romanNumberPattern.lastIndex = 0;
+        while ((match = this.romanNumberPattern.exec(text)) !== null) {
+            const [, separator, numeral] = match;
+            const index = match.index + separator.length;
+            const value = this.parseRomanNumeral(numeral);
+            if (value === null) continue;
+
+            const hasKeyword = this.romanKeywordPattern.test(text.slice(0, index));
+            if (hasKeyword || (numeral.length >= 2 && value <= this.maxBareRomanValue)) {
+                numbers.push(this.createNumber(text, fileName, value, index, numeral.length, 'roman'));
+            }
+        }
+
+        return numbers.sort((a, b) => a.index - b.index);
+    }
+
+    /**
+     * 创建数字对象
+     * @param {string} text - 全角数字已转换的文件名
+     * @param {string} fileName - 原始文件名
+     * @param {number} value - 数值
+     * @param {number} index - 起始位置
+     * @param {number} length - 字符长度
+     * @param {string} kind - 数字类型 (arabic, cjk, roman)
+     * @returns {object} 数字对象
+     */
+    createNumber(text, fileName, value, index, length, kind) {
+        const before = text.slice(Math.max(0, index - 10), index);
+        const after = text.slice(index + length);
+
+        return {
+            value: value,
+            originalString: fileName.substr(index, length),
+            index: index,
+            length: length,
+            kind: kind,
+            hasMarker: this.numberMarkerBefore.test(before) || this.numberMarkerAfter.test(after)
+        };
+    }
+
+    /**
+     * 解析任意形式的数字字符串
+     * @param {string} text - 数字字符串（阿拉伯数字、全角数字、中文/日文数字或罗马数字）
+     * @returns {number|null} 数值，无法识别返回null
+     */
+    parseNumeral(text) {
+        const normalized = text.normalize('NFKC');
+        if (/^\d+$/.test(normalized)) {
+            return parseInt(normalized, 10);
+        }
+        if (/^[零〇一二三四五六七八九十百千万萬两兩]+$/.test(normalized)) {
+            return this.parseCjkNumeral(normalized);
+        }
+        return this.parseRomanNumeral(normalized.toUpperCase());
+    }
+
+    /**
+     * 解析中文/日文数字（如 十二、一百零三、二〇一九）
+     * @param {string} text - 数字字符串
+     * @returns {number|null} 数值，无法识别返回null
+     */
+    parseCjkNumeral(text) {
+        const digits = { 零: 0, 〇: 0, 一: 1, 二: 2, 两: 2, 兩: 2, 三: 3, 四: 4, 五: 5, 六: 6, 七: 7, 八: 8, 九: 9 };
+        const units = { 十: 10, 百: 100, 千: 1000 };
+        const bigUnits = { 万: 10000, 萬: 10000 };
+
+        // 没有单位时逐位读取，如"二〇一九"
+        if (!/[十百千万萬]/.test(text)) {
+            const value = parseInt(Array.from(text, char => digits[char]).join(''), 10);
+            return Number.isNaN(value) ? null : value;
+        }
+
+        let total = 0;
+        let section = 0;
+        let current = 0;
+
+        for (const char of text) {
+            if (char in digits) {
+                current = digits[char];
+            } else if (char in units) {
+                // "十二"中省略了"一"
+                section += (current || 1) * units[char];
+                current = 0;
+            } else if (char in bigUnits) {
+                total += (section + current) * bigUnits[char];
+                section = 0;
+                current = 0;
+            }
+        }
+
+        return total + section + current;
+    }
+
+    /**
+     * 解析罗马数字（只接受规范写法，如 IV 而不是 IIII）
+     * @param {string} text - 大写罗马数字
+     * @returns {number|null} 数值，无法识别返回null
+     */
+    parseRomanNumeral(text) {
+        if (!text || !/^M{0,3}(CM|CD|D?C{0,3})(XC|XL|L?X{0,3})(IX|IV|V?I{0,3})$/.test(text)) {
+            return null;
+        }
+
+        const values = { I: 1, V: 5, X: 10, L: 50, C: 100, D: 500, M: 1000 };
+        let total = 0;
+
+        for (let i = 0; i < text.length; i++) {
+            const value = values[text[i]];
+            const next = values[text[i + 1]] || 0;
+            total += value < next ? -value : value;
+        }
+
+        return total;
+    }
+
+    /**
+     * 识别文件名中的系列名和卷号/话数/分册标记
+     * @param {string} fileName - 文件名（不含扩展名）
+     * @returns {object} 系列信息 {name, key, volume, volumeType, part}
+     */
+    parseSeriesInfo(fileName) {
+        const name = fileName.normalize('NFKC');
+        let volume = null;
+        let volumeType = null;
+        let part = null;
+        let markerStart = -1;
+        let markerEnd = -1;
+
+        const recordMarker = (start, end) => {
+            if (markerStart === -1 || start < markerStart) {
+                markerStart = start;
+            }
+            markerEnd = Math.max(markerEnd, end);
+        };
+
+        for (const marker of this.volumeMarkers) {
+            const match = marker.pattern.exec(name);
+            if (match) {
+                volume = this.parseNumeral(match[1]);
+                volumeType = marker.type;
+                // 匹配结果可能包含标记前的一个分隔字符
+                const start = match.index + match[0].search(/\S/);
+                recordMarker(start, match.index + match[0].length);
+                break;
+            }
+        }
+
+        for (const marker of this.partMarkers) {
+            const match = marker.pattern.exec(name);
+            if (match) {
+                part = marker.values[match[1]];
+                recordMarker(match.index + match[0].indexOf(match[1]), match.index + match[0].length);
+                break;
+            }
+        }
+
+        let seriesName;
+        if (markerStart > -1) {
+            // 系列名通常在标记之前，标记在开头时取标记之后的部分
+            seriesName = this.cleanSeriesName(name.slice(0, markerStart)) ||
+                this.cleanSeriesName(name.slice(markerEnd));
+        } else {
+            // 没有标记时去掉开头或结尾的序号（包括独立的罗马数字）
+            let baseName = name.replace(/[\s_\-#.]*\d+\s*$/, '').replace(/^\d+[\s_\-.]*/, '');
+            const romanSuffix = /[\s_\-#.]+([IVXLCDM]+)\s*$/.exec(baseName);
+            const romanValue = romanSuffix ? this.parseRomanNumeral(romanSuffix[1]) : null;
+            if (romanValue !== null && romanValue <= this.maxBareRomanValue) {
+                baseName = baseName.slice(0, romanSuffix.index);
+            }
+            seriesName = this.cleanSeriesName(baseName);
+        }
+
+        return {
+            name: seriesName,
+            key: this.getSeriesKey(seriesName),
+            volume: volume,
+            volumeType: volumeType,
+            part: part,
+            source: 'filename'
+        };
+    }
+
+    /**
+     * 生成系列比较键（忽略大小写、空白和标点）
+     * @param {string} name - 系列名
+     * @returns {string} 比较键
+     */
+    getSeriesKey(name) {
+        return name.normalize('NFKC').toLowerCase().replace(/[\s_\-.,:;!?'"·・~()[\]{}【】「」『』]+/g, '');
+    }
+
+    /**
+     * 清理系列名：去掉括号中的年份/数字和首尾分隔符
+     * @param {string} text - 原始文本
+     * @returns {string} 系列名
+     */
+    cleanSeriesName(text) {
+        return text
+            .replace(/[(\[【]\s*\d+\s*[)\]】]/g, '')
+            .replace(/\s+/g, ' ')
+            .replace(/^[\s_\-.,:~·)\]】」』]+|[\s_\-.,:~·(\[【「『]+$/g, '')
+            .trim();
+    }
+
     /**
      * 获取主要数字（用于排序）
      * @param {object[]} numbers - 数字数组
@@ -111,6 +403,8 @@ class NameProcessor {
         let score = 0;
         const { value, index, length } = numberObj;
         const fileNameLength = fileName.length;
+        // 中文/罗马数字按数值的位数评分
+        const digitCount = numberObj.kind && numberObj.kind !== 'arabic' ? String(value).length : length;
 
         // 位置评分：开头或结尾的数字得分更高
         if (index === 0 || index + length === fileNameLength) {
@@ -120,8 +414,8 @@ class NameProcessor {
         }
 
         // 长度评分：1-3位数字得分更高（通常序号不会太长）
-        if (length >= 1 && length <= 3) {
-            score += 30 - (length - 1) * 5;
+        if (digitCount >= 1 && digitCount <= 3) {
+            score += 30 - (digitCount - 1) * 5;
         }
 
         // 数值评分：较小的数字得分更高（序号通常从小开始）
@@ -138,6 +432,11 @@ class NameProcessor {
             score += 15;
         }
 
+        // 标记评分：紧跟"第"、"Vol."等卷号标记（或后接"卷"、"话"）的数字最可能是序号
+        if (numberObj.hasMarker) {
+            score += 40;
+        }
+
         return score;
     }
 
@@ -148,9 +447,23 @@ class NameProcessor {
      */
     sortFilesByNumbers(filesWithNumbers) {
         return filesWithNumbers.sort((a, b) => {
-            // 首先按主要数字排序
-            if (a.primaryNumber !== b.primaryNumber) {
-                return a.primaryNumber - b.primaryNumber;
+            // 按系列分组时，先按系列排序，系列内按卷号和分册排序
+            if (this.groupBySeries) {
+                const seriesOrder = this.compareSeries(a, b);
+                if (seriesOrder !== 0) {
+                    return seriesOrder;
+                }
+            }
+
+            // 首先按排序数字（OPF系列序号或文件名中的主要数字）排序
+            if (a.sortNumber !== b.sortNumber) {
+                return a.sortNumber - b.sortNumber;
+            }
+
+            // 排序数字相同时按分册排序
+            const partOrder = (a.series.part || 0) - (b.series.part || 0);
+            if (partOrder !== 0) {
+                return partOrder;
             }
 
             // 如果主要数字相同，按文件名字典序排序
@@ -163,6 +476,62 @@ class NameProcessor {
         });
     }
 
+    /**
+     * 比较两个文件的系列和卷号
+     * @param {object} a - 文件对象
+     * @param {object} b - 文件对象
+     * @returns {number} 比较结果
+     */
+    compareSeries(a, b) {
+        if (a.series.key !== b.series.key) {
+            return a.series.name.localeCompare(b.series.name, 'zh-CN', { numeric: true }) ||
+                (a.series.key < b.series.key ? -1 : 1);
+        }
+
+        const volumeA = a.series.volume !== null ? a.series.volume : a.sortNumber;
+        const volumeB = b.series.volume !== null ? b.series.volume : b.sortNumber;
+        if (volumeA !== volumeB) {
+            return volumeA - volumeB;
+        }
+
+        return (a.series.part || 0) - (b.series.part || 0);
+    }
+
+    /**
+     * 将手动调整过位置的文件放到指定位置，其余文件按自动排序填充剩余位置
+     * 锁定的文件优先于仅拖动（未锁定）的文件；同类文件指定到同一位置时，最近调整的优先，其余顺延到下一个空位
+     * @param {object[]} sortedFiles - 自动排序后的文件数组
+     * @returns {object[]} 最终顺序的文件数组
+     */
+    applyManualOrder(sortedFiles) {
+        const total = sortedFiles.length;
+        const lockedFiles = sortedFiles
+            .filter(fileObj => fileObj.locked && fileObj.sequenceOverride)
+            .sort((a, b) => (b.lockedAt || 0) - (a.lockedAt || 0));
+        const movedFiles = sortedFiles
+            .filter(fileObj => !fileObj.locked && fileObj.sequenceOverride)
+            .sort((a, b) => (b.movedAt || 0) - (a.movedAt || 0));
+        const placedFiles = [...lockedFiles, ...movedFiles];
+
+        if (placedFiles.length === 0) {
+            return sortedFiles;
+        }
+
+        const slots = new Array(total).fill(null);
+        placedFiles.forEach(fileObj => {
+            let position = Math.min(Math.max(fileObj.sequenceOverride, 1), total) - 1;
+            while (slots[position] !== null) {
+                position = (position + 1) % total;
+            }
+            slots[position] = fileObj;
+        });
+
+        const autoFiles = sortedFiles.filter(fileObj => !placedFiles.includes(fileObj));
+        let nextAuto = 0;
+
+        return slots.map(slot => slot || autoFiles[nextAuto++]);
+    }
+
     /**
      * 生成输出文件名
      * @param {object[]} sortedFiles - 排序后的文件数组
@@ -172,19 +541,273 @@ class NameProcessor {
         const totalFiles = sortedFiles.length;
         const digits = Math.max(3, totalFiles.toString().length); // 至少3位数
 
-        return sortedFiles.map((fileObj, index) => {
+        // 按系列分组时每个系列单独编号
+        const groupSizes = new Map();
+        const groupCounters = new Map();
+        if (this.groupBySeries) {
+            sortedFiles.forEach(fileObj => {
+                groupSizes.set(fileObj.series.key, (groupSizes.get(fileObj.series.key) || 0) + 1);
+            });
+        }
+
+        const nameMapping = sortedFiles.map((fileObj, index) => {
             const sequenceNumber = index + 1;
-            const paddedNumber = sequenceNumber.toString().padStart(digits, '0');
-            const outputName = `${paddedNumber}.zip`;
+            let groupSequence = sequenceNumber;
+            let groupDigits = digits;
+
+            if (this.groupBySeries) {
+                const key = fileObj.series.key;
+                groupSequence = (groupCounters.get(key) || 0) + 1;
+                groupCounters.set(key, groupSequence);
+                groupDigits = Math.max(3, groupSizes.get(key).toString().length);
+            }
+
+            const outputName = this.renderTemplate(fileObj, groupSequence, groupDigits);
 
             return {
                 fileId: fileObj.id,
                 originalName: fileObj.name,
                 outputName: outputName,
+                folder: this.groupBySeries && this.seriesFolders ? this.getSeriesFolder(fileObj.series) : '',
                 sequenceNumber: sequenceNumber,
-                primaryNumber: fileObj.primaryNumber
+                groupSequence: groupSequence,
+                seriesName: fileObj.series.name,
+                primaryNumber: fileObj.primaryNumber,
+                locked: !!fileObj.locked
             };
         });
+
+        return this.ensureUniqueNames(nameMapping);
+    }
+
+    /**
+     * 按模板生成单个输出文件名
+     * 支持字段：{seq} 序号、{num} 文件名中识别出的主要数字、{orig} 原文件名、{ext} 扩展名、
+     * {series} 系列名、{vol} 卷号，以及任意OPF元数据字段（如 {title}、{creator}）；
+     * 数字字段可用 {seq:3} 指定补零位数
+     * @param {object} fileObj - 包含数字信息的文件对象
+     * @param {number} sequenceNumber - 序号（按系列分组时为系列内序号）
+     * @param {number} digits - 默认补零位数
+     * @returns {string} 输出文件名
+     */
+    renderTemplate(fileObj, sequenceNumber, digits) {
+        const metadata = fileObj.metadata || {};
+
+        const rendered = this.nameTemplate.replace(/\{(\w+)(?::(\d+))?\}/g, (token, field, width) => {
+            const padWidth = width ? parseInt(width, 10) : 0;
+
+            switch (field) {
+                case 'seq':
+                    return sequenceNumber.toString().padStart(padWidth || digits, '0');
+                case 'num':
+                    // 文件名中没有数字时primaryNumber是哈希值，不能用于命名
+                    return fileObj.numbers && fileObj.numbers.length > 0
+                        ? fileObj.primaryNumber.toString().padStart(padWidth, '0')
+                        : '';
+                case 'orig':
+                    return fileObj.fileName || Utils.removeFileExtension(fileObj.name);
+                case 'ext':
+                    return this.outputExtension;
+                case 'series':
+                    return fileObj.series ? fileObj.series.name : '';
+                case 'vol':
+                    return fileObj.series && fileObj.series.volume !== null
+                        ? fileObj.series.volume.toString().padStart(padWidth, '0')
+                        : '';
+                default:
+                    return this.formatMetadataField(metadata[field]);
+            }
+        });
+
+        // 模板中可以省略扩展名，统一在最后补上
+        const suffix = `.${this.outputExtension}`;
+        let baseName = rendered.toLowerCase().endsWith(suffix)
+            ? rendered.slice(0, -suffix.length)
+            : rendered;
+
+        baseName = this.sanitizeFileName(baseName, this.maxNameBytes - suffix.length);
+
+        // 所有字段都为空时退回到序号
+        if (!baseName) {
+            baseName = sequenceNumber.toString().padStart(digits, '0');
+        }
+
+        return baseName + suffix;
+    }
+
+    /**
+     * 将元数据字段转换为模板文本
+     * 字符串数组（如 {subjects}、{languages}）用逗号连接，结构化字段（如 {creators}）不参与命名
+     * @param {any} value - 元数据字段值
+     * @returns {string} 模板文本
+     */
+    formatMetadataField(value) {
+        if (value === undefined || value === null) return '';
+        if (Array.isArray(value)) {
+            return value.filter(item => typeof item !== 'object').join(', ');
+        }
+        return typeof value === 'object' ? '' : String(value);
+    }
+
+    /**
+     * 清理文件名：替换Windows/macOS中的非法字符，去掉空字段留下的多余分隔符
+     * @param {string} name - 文件名（不含扩展名）
+     * @param {number} maxBytes - 最大字节数
+     * @returns {string} 清理后的文件名
+     */
+    sanitizeFileName(name, maxBytes) {
+        // 首尾的空白、点号（Windows不允许结尾为点）和孤立的" - "分隔符
+        const trimEdges = (text) => text.replace(/^(-\s+|[\s.])+|(\s+-|[\s.])+$/g, '');
+
+        let safeName = name
+            .replace(/[<>:"\/\\|?*\x00-\x1F\x7F]/g, '_')
+            .replace(/\s+/g, ' ')
+            .replace(/ -( -)+ /g, ' - ');
+
+        safeName = trimEdges(this.truncateToBytes(trimEdges(safeName), maxBytes));
+
+        // Windows保留设备名不能作为文件名
+        if (/^(con|prn|aux|nul|com[1-9]|lpt[1-9])$/i.test(safeName)) {
+            safeName = `_${safeName}`;
+        }
+
+        return safeName;
+    }
+
+    /**
+     * 按UTF-8字节数截断字符串（不会截断在字符中间）
+     * @param {string} text - 原始字符串
+     * @param {number} maxBytes - 最大字节数
+     * @returns {string} 截断后的字符串
+     */
+    truncateToBytes(text, maxBytes) {
+        const encoder = new TextEncoder();
+        if (encoder.encode(text).length <= maxBytes) {
+            return text;
+        }
+
+        let result = '';
+        let bytes = 0;
+        for (const char of text) {
+            const charBytes = encoder.encode(char).length;
+            if (bytes + charBytes > maxBytes) break;
+            result += char;
+            bytes += charBytes;
+        }
+        return result;
+    }
+
+    /**
+     * 获取系列子文件夹名
+     * @param {object} series - 系列信息
+     * @returns {string} 文件夹名
+     */
+    getSeriesFolder(series) {
+        return this.sanitizeFileName(series.name, this.maxNameBytes) || this.defaultSeriesFolder;
+    }
+
+    /**
+     * 获取用于判断重名的键（同一文件夹内不区分大小写）
+     * @param {object} mapping - 文件名映射项
+     * @param {string} outputName - 输出文件名（默认使用映射项中的名称）
+     * @returns {string} 比较键
+     */
+    getNameKey(mapping, outputName = mapping.outputName) {
+        return `${mapping.folder ? `${mapping.folder}/` : ''}${outputName}`.toLowerCase();
+    }
+
+    /**
+     * 为重复的输出文件名添加编号后缀，直到 validateNameMapping 不再报告重复
+     * @param {object[]} nameMapping - 文件名映射
+     * @returns {object[]} 文件名唯一的映射
+     */
+    ensureUniqueNames(nameMapping) {
+        const suffix = `.${this.outputExtension}`;
+        let duplicates = this.getDuplicateIssues(nameMapping);
+
+        while (duplicates.length > 0) {
+            const usedNames = new Set(nameMapping.map(mapping => this.getNameKey(mapping)));
+
+            duplicates.forEach(issue => {
+                const mapping = nameMapping[issue.index];
+                const baseName = mapping.outputName.slice(0, -suffix.length);
+                let counter = 2;
+                let candidate;
+
+                do {
+                    candidate = `${baseName} (${counter++})${suffix}`;
+                } while (usedNames.has(this.getNameKey(mapping, candidate)));
+
+                usedNames.add(this.getNameKey(mapping, candidate));
+                mapping.outputName = candidate;
+            });
+
+            duplicates = this.getDuplicateIssues(nameMapping);
+        }
+
+        return nameMapping;
+    }
+
+    /**
+     * 获取输出文件名重复的问题列表
+     * @param {object[]} nameMapping - 文件名映射
+     * @returns {object[]} 重复问题
+     */
+    getDuplicateIssues(nameMapping) {
+        return this.validateNameMapping(nameMapping).issues
+            .filter(issue => issue.type === 'duplicate_output');
+    }
+
+    /**
+     * 设置输出文件扩展名
+     * @param {string} extension - 扩展名（不含点，如 zip、cbz）
+     */
+    setOutputExtension(extension) {
+        this.outputExtension = extension.replace(/^\./, '').toLowerCase();
+    }
+
+    /**
+     * 设置输出文件名模板
+     * @param {string} template - 模板，如 "{seq:3} - {title} - {creator}.{ext}"，为空时使用默认模板
+     */
+    setNameTemplate(template) {
+        const trimmed = (template || '').trim();
+        this.nameTemplate = trimmed || this.defaultTemplate;
+    }
+
+    /**
+     * 设置系列分组
+     * @param {boolean} enabled - 是否按系列分组编号
+     * @param {boolean} useFolders - 是否为每个系列使用单独的子文件夹
+     */
+    setSeriesGrouping(enabled, useFolders) {
+        this.groupBySeries = !!enabled;
+        this.seriesFolders = !!useFolders;
+    }
+
+    /**
+     * 设置排序依据
+     * @param {string} source - metadata: OPF系列序号优先, filename: 仅使用文件名
+     */
+    setSortSource(source) {
+        this.sortSource = source === 'metadata' ? 'metadata' : 'filename';
+    }
+
+    /**
+     * 检查生成输出名称是否需要EPUB元数据（模板字段或系列排序）
+     * @returns {boolean} 是否需要读取元数据
+     */
+    needsMetadata() {
+        return this.sortSource === 'metadata' || this.templateUsesMetadata();
+    }
+
+    /**
+     * 检查当前模板是否使用了EPUB元数据字段
+     * @returns {boolean} 是否需要读取元数据
+     */
+    templateUsesMetadata() {
+        const fields = Array.from(this.nameTemplate.matchAll(/\{(\w+)(?::\d+)?\}/g), match => match[1]);
+        return fields.some(field => !this.builtinFields.includes(field));
     }
 
     /**
@@ -220,7 +843,7 @@ class NameProcessor {
      */
     previewSorting(files) {
         const filesWithNumbers = this.extractNumbers(files);
-        const sortedFiles = this.sortFilesByNumbers(filesWithNumbers);
+        const sortedFiles = this.applyManualOrder(this.sortFilesByNumbers(filesWithNumbers));
         const nameMapping = this.generateOutputNames(sortedFiles);
 
         return nameMapping.map(mapping => ({
@@ -242,15 +865,17 @@ class NameProcessor {
         const sequenceNumbers = new Set();
 
         nameMapping.forEach((mapping, index) => {
-            // 检查输出文件名重复
-            if (outputNames.has(mapping.outputName)) {
+            // 检查输出文件名重复（同一文件夹内，Windows/macOS文件系统不区分大小写）
+            const nameKey = this.getNameKey(mapping);
+            if (outputNames.has(nameKey)) {
                 issues.push({
                     type: 'duplicate_output',
                     message: `输出文件名重复: ${mapping.outputName}`,
-                    fileId: mapping.fileId
+                    fileId: mapping.fileId,
+                    index: index
                 });
             }
-            outputNames.add(mapping.outputName);
+            outputNames.add(nameKey);
 
             // 检查序号重复
             if (sequenceNumbers.has(mapping.sequenceNumber)) {
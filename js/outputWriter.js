@@ -0,0 +1,79 @@
+// 输出写入模块
+class OutputWriter {
+    /**
+     * @param {ZipGenerator} zipGenerator - ZIP生成器
+     * @param {PdfGenerator} pdfGenerator - PDF生成器
+     */
+    constructor(zipGenerator, pdfGenerator) {
+        this.zipGenerator = zipGenerator;
+        this.pdfGenerator = pdfGenerator;
+    }
+
+    /**
+     * 检查当前浏览器是否支持直接写入用户选择的文件夹
+     * @returns {boolean} 是否支持
+     */
+    static supportsDirectoryOutput() {
+        return typeof window.showDirectoryPicker === 'function';
+    }
+
+    /**
+     * 检查当前浏览器是否支持选择保存位置后写入文件
+     * @returns {boolean} 是否支持
+     */
+    static supportsSaveFilePicker() {
+        return typeof window.showSaveFilePicker === 'function';
+    }
+
+    /**
+     * 按输出格式生成文件
+     * 提供 options.fileHandle 时直接流式写入该文件，否则返回内存中的Blob
+     * @param {object[]} images - 图片数组
+     * @param {string} fileName - 输出文件名
+     * @param {Function} progressCallback - 进度回调函数
+     * @param {object} options - 输出选项 {format, metadata, fileHandle, signal}
+     * @returns {Promise<Blob|object>} 输出文件Blob，或写入磁盘后的 {savedToDisk, size}
+     */
+    async pack(images, fileName, progressCallback, options = {}) {
+        if (!options.fileHandle) {
+            return options.format === 'pdf'
+                ? this.pdfGenerator.generatePdfFromImages(images, fileName, progressCallback, options)
+                : this.zipGenerator.generateZipFromImages(images, fileName, progressCallback, options);
+        }
+
+        const writable = await options.fileHandle.createWritable();
+        let size;
+
+        try {
+            if (options.format === 'pdf') {
+                const pdfBlob = await this.pdfGenerator.generatePdfFromImages(images, fileName, progressCallback, options);
+                size = await this.writeBlob(writable, pdfBlob);
+            } else {
+                size = await this.zipGenerator.writeZipToStream(images, fileName, writable, progressCallback, options);
+            }
+        } catch (error) {
+            // 未关闭的可写流不会覆盖目标文件；等中止完成后调用方才能安全删除新建的文件
+            // （流式写入ZIP时可写流已由writeZipToStream中止，这里的abort会因流已锁定而被忽略）
+            await writable.abort().catch(() => {});
+            throw error;
+        }
+
+        return { savedToDisk: true, size };
+    }
+
+    /**
+     * 将Blob写入可写流并关闭
+     * @param {WritableStream} writable - 目标可写流
+     * @param {Blob} blob - 文件数据
+     * @returns {Promise<number>} 写入的字节数
+     */
+    async writeBlob(writable, blob) {
+        const writer = writable.getWriter();
+        await writer.write(blob);
+        await writer.close();
+        return blob.size;
+    }
+}
+
+// 导出输出写入器类
+window.OutputWriter = OutputWriter;
\ No newline at end of file
@@ -0,0 +1,218 @@
+// 页面分析模块（空白页和近似重复页检测）
+class PageAnalyzer {
+    constructor() {
+        this.sampleSize = 32; // 统计亮度时缩略图的边长
+        this.hashSize = 16; // 差值哈希的边长（共 hashSize * hashSize 位）
+        this.blankThreshold = 6; // 亮度标准差低于该值视为空白页 (0-255)
+        this.duplicateThreshold = 0.08; // 哈希不同位的比例不超过该值视为重复页
+    }
+
+    /**
+     * 检查当前环境是否可以解码并分析图片
+     * @returns {boolean} 是否支持
+     */
+    static isSupported() {
+        return typeof createImageBitmap !== 'undefined' &&
+            (typeof OffscreenCanvas !== 'undefined' || typeof document !== 'undefined');
+    }
+
+    /**
+     * 分析页面图片
+     * @param {object[]} images - 图片数组（页面顺序）
+     * @param {Function} progressCallback - 进度回调函数（可选）
+     * @param {AbortSignal} signal - 中止信号（可选）
+     * @returns {Promise<object[]>} [{originalPath, hash, deviation, isBlank}]，无法解码的图片hash为null
+     */
+    async analyzeImages(images, progressCallback, signal) {
+        const results = [];
+
+        for (let i = 0; i < images.length; i++) {
+            const image = images[i];
+
+            if (signal && signal.aborted) {
+                throw Utils.createAbortError();
+            }
+
+            if (progressCallback) {
+                progressCallback({
+                    current: i + 1,
+                    total: images.length,
+                    fileName: image.fileName,
+                    status: 'analyzing'
+                });
+            }
+
+            results.push({
+                originalPath: image.originalPath,
+                ...(await this.analyzeImage(image.blob))
+            });
+        }
+
+        return results;
+    }
+
+    /**
+     * 分析单张图片
+     * @param {Blob} blob - 图片数据
+     * @returns {Promise<object>} {hash, deviation, isBlank}
+     */
+    async analyzeImage(blob) {
+        const unknown = { hash: null, deviation: null, isBlank: false };
+        if (!PageAnalyzer.isSupported()) {
+            return unknown;
+        }
+
+        let bitmap = null;
+        try {
+            bitmap = await createImageBitmap(blob);
+
+            const deviation = this.getDeviation(this.sampleLuma(bitmap, this.sampleSize, this.sampleSize));
+            const hash = this.computeDifferenceHash(this.sampleLuma(bitmap, this.hashSize + 1, this.hashSize));
+
+            return { hash, deviation, isBlank: deviation < this.blankThreshold };
+        } catch (error) {
+            // SVG等无法在当前环境解码的图片不参与过滤
+            console.warn('页面分析失败:', error);
+            return unknown;
+        } finally {
+            if (bitmap) bitmap.close();
+        }
+    }
+
+    /**
+     * 将图片缩放后读取亮度
+     * @param {ImageBitmap} bitmap - 图片
+     * @param {number} width - 缩放宽度
+     * @param {number} height - 缩放高度
+     * @returns {Float32Array} 亮度数组（按行排列）
+     */
+    sampleLuma(bitmap, width, height) {
+        const canvas = this.createCanvas(width, height);
+        const context = canvas.getContext('2d', { willReadFrequently: true });
+
+        // 透明区域按白色处理
+        context.fillStyle = '#ffffff';
+        context.fillRect(0, 0, width, height);
+        context.drawImage(bitmap, 0, 0, width, height);
+
+        const { data } = context.getImageData(0, 0, width, height);
+        const luma = new Float32Array(width * height);
+        for (let i = 0; i < luma.length; i++) {
+            luma[i] = 0.299 * data[i * 4] + 0.587 * data[i * 4 + 1] + 0.114 * data[i * 4 + 2];
+        }
+
+        return luma;
+    }
+
+    /**
+     * 创建画布（优先使用OffscreenCanvas，Worker中也可用）
+     * @param {number} width - 宽度
+     * @param {number} height - 高度
+     * @returns {OffscreenCanvas|HTMLCanvasElement} 画布
+     */
+    createCanvas(width, height) {
+        if (typeof OffscreenCanvas !== 'undefined') {
+            return new OffscreenCanvas(width, height);
+        }
+
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+        return canvas;
+    }
+
+    /**
+     * 计算亮度标准差
+     * @param {Float32Array} luma - 亮度数组
+     * @returns {number} 标准差
+     */
+    getDeviation(luma) {
+        let sum = 0;
+        for (let i = 0; i < luma.length; i++) {
+            sum += luma[i];
+        }
+        const mean = sum / luma.length;
+
+        let variance = 0;
+        for (let i = 0; i < luma.length; i++) {
+            variance += (luma[i] - mean) ** 2;
+        }
+
+        return Math.sqrt(variance / luma.length);
+    }
+
+    /**
+     * 计算差值哈希：比较每行相邻像素的亮度
+     * @param {Float32Array} luma - (hashSize + 1) x hashSize 的亮度数组
+     * @returns {string} 十六进制哈希
+     */
+    computeDifferenceHash(luma) {
+        const width = this.hashSize + 1;
+        let hex = '';
+
+        for (let y = 0; y < this.hashSize; y++) {
+            for (let x = 0; x < this.hashSize; x += 4) {
+                let nibble = 0;
+                for (let bit = 0; bit < 4; bit++) {
+                    const index = y * width + x + bit;
+                    nibble = (nibble << 1) | (luma[index] > luma[index + 1] ? 1 : 0);
+                }
+                hex += nibble.toString(16);
+            }
+        }
+
+        return hex;
+    }
+
+    /**
+     * 计算两个哈希不同位的比例
+     * @param {string} a - 十六进制哈希
+     * @param {string} b - 十六进制哈希
+     * @returns {number} 不同位的比例 (0-1)，长度不同时返回1
+     */
+    getHashDistance(a, b) {
+        if (!a || !b || a.length !== b.length) return 1;
+
+        let differentBits = 0;
+        for (let i = 0; i < a.length; i++) {
+            let xor = parseInt(a[i], 16) ^ parseInt(b[i], 16);
+            while (xor) {
+                differentBits += xor & 1;
+                xor >>= 1;
+            }
+        }
+
+        return differentBits / (a.length * 4);
+    }
+
+    /**
+     * 根据分析结果标记空白页和重复页
+     * 同一本书中再次出现的页面，以及与之前处理的书中页面近似的页面标记为重复
+     * @param {object[]} analyses - analyzeImages的结果（页面顺序）
+     * @param {object[]} knownPages - 之前的书中出现过的页面 [{hash}]
+     * @returns {object} 页面originalPath -> 'blank' | 'duplicate'
+     */
+    flagPages(analyses, knownPages = []) {
+        const flags = {};
+        const seenHashes = knownPages.map(page => page.hash);
+
+        analyses.forEach(analysis => {
+            if (analysis.isBlank) {
+                flags[analysis.originalPath] = 'blank';
+                return;
+            }
+            if (!analysis.hash) return;
+
+            if (seenHashes.some(hash => this.getHashDistance(hash, analysis.hash) <= this.duplicateThreshold)) {
+                flags[analysis.originalPath] = 'duplicate';
+            } else {
+                seenHashes.push(analysis.hash);
+            }
+        });
+
+        return flags;
+    }
+}
+
+// 导出页面分析类
+window.PageAnalyzer = PageAnalyzer;
\ No newline at end of file
@@ -0,0 +1,361 @@
+// PDF生成模块
+class PdfGenerator {
+    constructor() {
+        this.jpegQuality = 0.92; // 非JPEG图片重新编码时的质量 (0-1)
+        this.pageDpi = 96; // 图片像素换算为页面尺寸时使用的分辨率
+        this.encoder = new TextEncoder();
+    }
+
+    /**
+     * 从图片数组生成PDF文件，每张图片一页
+     * @param {object[]} images - 图片数组
+     * @param {string} fileName - PDF文件名
+     * @param {Function} progressCallback - 进度回调函数
+     * @param {object} options - 输出选项 {metadata: EPUB元数据, excludedPages: 预览中取消选择的页面, readingDirection: 阅读方向,
+     *                           signal: 中止信号}
+     * @returns {Promise<Blob>} PDF文件Blob
+     */
+    async generatePdfFromImages(images, fileName, progressCallback, options = {}) {
+        const signal = options.signal;
+
+        try {
+            if (images && options.excludedPages && options.excludedPages.length > 0) {
+                const excluded = new Set(options.excludedPages);
+                images = images.filter(image => !excluded.has(image.originalPath));
+            }
+
+            if (!images || images.length === 0) {
+                throw new Error('没有图片可以生成PDF');
+            }
+
+            // 准备页面图片（JPEG直接嵌入，其他格式重新编码为JPEG）
+            const pages = [];
+            for (let i = 0; i < images.length; i++) {
+                const image = images[i];
+
+                if (signal && signal.aborted) {
+                    throw Utils.createAbortError();
+                }
+
+                if (progressCallback) {
+                    progressCallback({
+                        current: i + 1,
+                        total: images.length,
+                        fileName: image.fileName,
+                        status: 'converting'
+                    });
+                }
+
+                try {
+                    pages.push(await this.preparePageImage(image));
+                } catch (error) {
+                    console.warn(`图片无法加入PDF ${image.fileName}:`, error);
+                }
+            }
+
+            if (pages.length === 0) {
+                throw new Error('没有可以写入PDF的图片');
+            }
+
+            if (progressCallback) {
+                progressCallback({
+                    current: pages.length,
+                    total: pages.length,
+                    fileName: fileName,
+                    status: 'writing'
+                });
+            }
+
+            return this.writePdf(pages, options.metadata, options.readingDirection);
+
+        } catch (error) {
+            if (Utils.isAbortError(error)) throw error;
+
+            console.error('生成PDF文件失败:', error);
+            throw new Error(`生成PDF文件失败: ${error.message}`);
+        }
+    }
+
+    /**
+     * 准备单页图片数据
+     * @param {object} image - 图片对象
+     * @returns {Promise<object>} {data, width, height, components, isAdobeCmyk}
+     */
+    async preparePageImage(image) {
+        if (image.mimeType === 'image/jpeg') {
+            const data = new Uint8Array(await image.blob.arrayBuffer());
+            const info = this.readJpegInfo(data);
+            if (info) {
+                return { data, ...info };
+            }
+        }
+
+        // 其他格式（以及无法识别的JPEG）通过Canvas重新编码
+        const converted = await this.convertToJpeg(image.blob);
+        const data = new Uint8Array(await converted.blob.arrayBuffer());
+
+        return {
+            data,
+            width: converted.width,
+            height: converted.height,
+            components: 3,
+            isAdobeCmyk: false
+        };
+    }
+
+    /**
+     * 读取JPEG尺寸和颜色通道信息
+     * @param {Uint8Array} data - JPEG数据
+     * @returns {object|null} {width, height, components, isAdobeCmyk}，无法识别返回null
+     */
+    readJpegInfo(data) {
+        if (data[0] !== 0xFF || data[1] !== 0xD8) {
+            return null;
+        }
+
+        let offset = 2;
+        let isAdobe = false;
+
+        while (offset + 4 <= data.length) {
+            if (data[offset] !== 0xFF) {
+                offset++;
+                continue;
+            }
+
+            const marker = data[offset + 1];
+            const length = (data[offset + 2] << 8) | data[offset + 3];
+
+            // APP14 Adobe标记：CMYK图片需要反转解码
+            if (marker === 0xEE &&
+                String.fromCharCode(data[offset + 4], data[offset + 5], data[offset + 6], data[offset + 7], data[offset + 8]) === 'Adobe') {
+                isAdobe = true;
+            }
+
+            // SOF0-SOF15（排除DHT、JPG、DAC）
+            if (marker >= 0xC0 && marker <= 0xCF && marker !== 0xC4 && marker !== 0xC8 && marker !== 0xCC) {
+                const components = data[offset + 9];
+                return {
+                    height: (data[offset + 5] << 8) | data[offset + 6],
+                    width: (data[offset + 7] << 8) | data[offset + 8],
+                    components: components,
+                    isAdobeCmyk: isAdobe && components === 4
+                };
+            }
+
+            offset += 2 + length;
+        }
+
+        return null;
+    }
+
+    /**
+     * 使用Canvas将图片重新编码为JPEG
+     * @param {Blob} blob - 原始图片
+     * @returns {Promise<object>} {blob, width, height}
+     */
+    async convertToJpeg(blob) {
+        if (typeof createImageBitmap === 'undefined') {
+            throw new Error('当前环境不支持图片转换');
+        }
+
+        const bitmap = await createImageBitmap(blob);
+        const { width, height } = bitmap;
+
+        let canvas;
+        if (typeof OffscreenCanvas !== 'undefined') {
+            canvas = new OffscreenCanvas(width, height);
+        } else {
+            canvas = document.createElement('canvas');
+            canvas.width = width;
+            canvas.height = height;
+        }
+
+        const context = canvas.getContext('2d');
+        // 透明区域填充白色，JPEG不支持透明通道
+        context.fillStyle = '#ffffff';
+        context.fillRect(0, 0, width, height);
+        context.drawImage(bitmap, 0, 0);
+        bitmap.close();
+
+        const jpegBlob = canvas.convertToBlob
+            ? await canvas.convertToBlob({ type: 'image/jpeg', quality: this.jpegQuality })
+            : await new Promise(resolve => canvas.toBlob(resolve, 'image/jpeg', this.jpegQuality));
+
+        if (!jpegBlob) {
+            throw new Error('图片编码失败');
+        }
+
+        return { blob: jpegBlob, width, height };
+    }
+
+    /**
+     * 写出PDF文档
+     * @param {object[]} pages - 页面图片数组
+     * @param {object} metadata - EPUB元数据
+     * @param {string} readingDirection - 阅读方向 (ltr, rtl)，从右到左时阅读器按右开本显示
+     * @returns {Blob} PDF文件Blob
+     */
+    writePdf(pages, metadata, readingDirection) {
+        const chunks = [];
+        const offsets = [];
+        let position = 0;
+
+        const write = (content) => {
+            const bytes = typeof content === 'string' ? this.encoder.encode(content) : content;
+            chunks.push(bytes);
+            position += bytes.length;
+        };
+
+        const beginObject = (objectNumber) => {
+            offsets[objectNumber] = position;
+            write(`${objectNumber} 0 obj\n`);
+        };
+
+        // 对象编号：1目录、2页面树、3文档信息，之后每页依次为页面、内容流、图片
+        const catalogId = 1;
+        const pagesId = 2;
+        const infoId = 3;
+        const pageIds = pages.map((page, index) => 4 + index * 3);
+
+        // 文件头，第二行的高位字节标明文件包含二进制数据
+        write('%PDF-1.4\n');
+        write(Uint8Array.from([0x25, 0xE2, 0xE3, 0xCF, 0xD3, 0x0A]));
+
+        beginObject(catalogId);
+        const viewerPreferences = readingDirection === 'rtl' ? ' /ViewerPreferences << /Direction /R2L >>' : '';
+        write(`<< /Type /Catalog /Pages ${pagesId} 0 R${viewerPreferences} >>\nendobj\n`);
+
+        beginObject(pagesId);
+        write(`<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pages.length} >>\nendobj\n`);
+
+        beginObject(infoId);
+        write(`${this.buildInfoDictionary(metadata)}\nendobj\n`);
+
+        pages.forEach((page, index) => {
+            const pageId = pageIds[index];
+            const contentId = pageId + 1;
+            const imageId = pageId + 2;
+
+            const pageWidth = this.toPoints(page.width);
+            const pageHeight = this.toPoints(page.height);
+
+            beginObject(pageId);
+            write(`<< /Type /Page /Parent ${pagesId} 0 R /MediaBox [0 0 ${pageWidth} ${pageHeight}] ` +
+                `/Resources << /XObject << /Im0 ${imageId} 0 R >> >> /Contents ${contentId} 0 R >>\nendobj\n`);
+
+            const content = `q ${pageWidth} 0 0 ${pageHeight} 0 0 cm /Im0 Do Q`;
+            beginObject(contentId);
+            write(`<< /Length ${content.length} >>\nstream\n${content}\nendstream\nendobj\n`);
+
+            beginObject(imageId);
+            write(`<< /Type /XObject /Subtype /Image /Width ${page.width} /Height ${page.height} ` +
+                `/ColorSpace ${this.getColorSpace(page.components)} /BitsPerComponent 8 /Filter /DCTDecode ` +
+                `${page.isAdobeCmyk ? '/Decode [1 0 1 0 1 0 1 0] ' : ''}/Length ${page.data.length} >>\nstream\n`);
+            write(page.data);
+            write('\nendstream\nendobj\n');
+        });
+
+        // 交叉引用表
+        const objectCount = pageIds.length > 0 ? pageIds[pageIds.length - 1] + 3 : infoId + 1;
+        const xrefPosition = position;
+        write(`xref\n0 ${objectCount}\n0000000000 65535 f \n`);
+        for (let i = 1; i < objectCount; i++) {
+            write(`${String(offsets[i]).padStart(10, '0')} 00000 n \n`);
+        }
+        write(`trailer\n<< /Size ${objectCount} /Root ${catalogId} 0 R /Info ${infoId} 0 R >>\nstartxref\n${xrefPosition}\n%%EOF\n`);
+
+        return new Blob(chunks, { type: 'application/pdf' });
+    }
+
+    /**
+     * 生成文档信息字典
+     * @param {object} metadata - EPUB元数据
+     * @returns {string} 信息字典
+     */
+    buildInfoDictionary(metadata) {
+        const meta = metadata || {};
+        const entries = [];
+
+        const addEntry = (key, value) => {
+            if (value) {
+                entries.push(`/${key} ${this.encodeText(value)}`);
+            }
+        };
+
+        addEntry('Title', meta.title);
+        addEntry('Author', meta.creator);
+        addEntry('Subject', meta.description);
+        addEntry('Creator', 'EPUB转ZIP工具');
+        addEntry('Producer', 'EPUB转ZIP工具');
+        entries.push(`/CreationDate (${this.formatDate(new Date())})`);
+
+        return `<< ${entries.join(' ')} >>`;
+    }
+
+    /**
+     * 编码PDF文本字符串（UTF-16BE十六进制，支持中文）
+     * @param {string} text - 原始文本
+     * @returns {string} PDF字符串
+     */
+    encodeText(text) {
+        let hex = 'FEFF';
+        for (const char of String(text)) {
+            const code = char.codePointAt(0);
+            if (code > 0xFFFF) {
+                // 代理对
+                const offset = code - 0x10000;
+                hex += (0xD800 + (offset >> 10)).toString(16).padStart(4, '0');
+                hex += (0xDC00 + (offset & 0x3FF)).toString(16).padStart(4, '0');
+            } else {
+                hex += code.toString(16).padStart(4, '0');
+            }
+        }
+        return `<${hex.toUpperCase()}>`;
+    }
+
+    /**
+     * 格式化PDF日期
+     * @param {Date} date - 日期
+     * @returns {string} D:YYYYMMDDHHmmSS格式
+     */
+    formatDate(date) {
+        const pad = (value) => String(value).padStart(2, '0');
+        return `D:${date.getFullYear()}${pad(date.getMonth() + 1)}${pad(date.getDate())}` +
+            `${pad(date.getHours())}${pad(date.getMinutes())}${pad(date.getSeconds())}`;
+    }
+
+    /**
+     * 像素换算为PDF点（1点 = 1/72英寸）
+     * @param {number} pixels - 像素
+     * @returns {number} 点数（保留两位小数）
+     */
+    toPoints(pixels) {
+        return Math.round(pixels * 72 / this.pageDpi * 100) / 100;
+    }
+
+    /**
+     * 根据颜色通道数获取PDF颜色空间
+     * @param {number} components - 通道数
+     * @returns {string} 颜色空间名称
+     */
+    getColorSpace(components) {
+        if (components === 1) return '/DeviceGray';
+        if (components === 4) return '/DeviceCMYK';
+        return '/DeviceRGB';
+    }
+
+    /**
+     * 设置重新编码质量
+     * @param {number} quality - 质量 (0-1)
+     */
+    setJpegQuality(quality) {
+        if (quality > 0 && quality <= 1) {
+            this.jpegQuality = quality;
+        } else {
+            console.warn('JPEG质量必须在0-1之间');
+        }
+    }
+}
+
+// 导出PDF生成器类
+window.PdfGenerator = PdfGenerator;
\ No newline at end of file
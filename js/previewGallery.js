@@ -0,0 +1,252 @@
+// 页面预览模块
+class PreviewGallery {
+    constructor() {
+        this.elements = {};
+        this.fileId = null; // 当前预览的文件ID
+        this.pages = []; // 当前预览的页面（输出顺序）
+        this.excludedPages = new Set(); // 取消选择的页面（originalPath）
+        this.spreadPages = new Set(); // 标记为与下一页合并成跨页的页面（originalPath）
+        this.objectUrls = []; // 缩略图地址，关闭时释放
+        this.flagLabels = { blank: '空白', duplicate: '重复' };
+        this.eventListeners = new Map(); // 事件监听器
+
+        this.init();
+    }
+
+    /**
+     * 初始化预览面板
+     */
+    init() {
+        this.elements = {
+            overlay: document.getElementById('galleryOverlay'),
+            title: document.getElementById('galleryTitle'),
+            summary: document.getElementById('gallerySummary'),
+            grid: document.getElementById('galleryGrid'),
+            closeBtn: document.getElementById('galleryCloseBtn')
+        };
+
+        if (!this.elements.overlay) return;
+
+        this.elements.closeBtn.addEventListener('click', () => this.close());
+
+        // 点击遮罩空白处关闭
+        this.elements.overlay.addEventListener('click', (e) => {
+            if (e.target === this.elements.overlay) {
+                this.close();
+            }
+        });
+
+        // 捕获阶段处理Escape，避免触发全局的"清空文件列表"快捷键
+        document.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape' && this.isOpen()) {
+                e.stopPropagation();
+                this.close();
+            }
+        }, true);
+
+        // 点击缩略图切换选择状态，点击合并按钮切换跨页标记
+        this.elements.grid.addEventListener('click', (e) => {
+            const pageElement = e.target.closest('.gallery-page');
+            if (!pageElement) return;
+
+            if (e.target.closest('.gallery-page-merge')) {
+                this.toggleSpread(pageElement);
+            } else {
+                this.togglePage(pageElement);
+            }
+        });
+    }
+
+    /**
+     * 预览面板是否打开
+     * @returns {boolean} 是否打开
+     */
+    isOpen() {
+        return !!this.elements.overlay && this.elements.overlay.style.display !== 'none';
+    }
+
+    /**
+     * 打开面板并显示读取状态
+     * @param {string} fileId - 文件ID
+     * @param {string} title - 标题（文件名）
+     */
+    showLoading(fileId, title) {
+        if (!this.elements.overlay) return;
+
+        this.releaseImages();
+        this.fileId = fileId;
+        this.pages = [];
+        this.elements.title.textContent = title;
+        this.elements.summary.textContent = '';
+        this.elements.grid.innerHTML = '<div class="gallery-message">正在读取图片...</div>';
+        this.elements.overlay.style.display = 'flex';
+    }
+
+    /**
+     * 更新读取进度
+     * @param {string} text - 进度文本
+     */
+    setStatus(text) {
+        const message = this.elements.grid && this.elements.grid.querySelector('.gallery-message');
+        if (message) {
+            message.textContent = text;
+        }
+    }
+
+    /**
+     * 显示页面缩略图
+     * @param {string} fileId - 文件ID
+     * @param {object[]} pages - 页面图片（输出顺序）
+     * @param {string[]} excludedPages - 已取消选择的页面（originalPath）
+     * @param {object} pageFlags - 页面分析标记 originalPath -> 'blank' | 'duplicate'
+     * @param {string[]} spreadPages - 标记为与下一页合并成跨页的页面（originalPath）
+     */
+    showPages(fileId, pages, excludedPages = [], pageFlags = {}, spreadPages = []) {
+        // 读取期间用户已关闭面板或切换到其他文件
+        if (!this.isOpen() || this.fileId !== fileId) return;
+
+        this.releaseImages();
+        this.pages = pages;
+        this.excludedPages = new Set(excludedPages);
+        this.spreadPages = new Set(spreadPages);
+
+        const fragment = document.createDocumentFragment();
+        pages.forEach((page, index) => {
+            const url = URL.createObjectURL(page.blob);
+            this.objectUrls.push(url);
+            const flag = pageFlags[page.originalPath];
+
+            const pageElement = document.createElement('div');
+            pageElement.className = 'gallery-page';
+            pageElement.classList.toggle('excluded', this.excludedPages.has(page.originalPath));
+            pageElement.classList.toggle('spread-start', this.spreadPages.has(page.originalPath));
+            pageElement.dataset.path = page.originalPath;
+            pageElement.title = page.originalPath;
+            pageElement.innerHTML = `
+                <img src="${url}" alt="" loading="lazy">
+                <span class="gallery-page-number">${index + 1}</span>
+                ${flag ? `<span class="gallery-page-flag">${this.flagLabels[flag]}</span>` : ''}
+                ${index < pages.length - 1 ? '<button class="gallery-page-merge" title="与下一页合并为跨页">⧉</button>' : ''}
+            `;
+            fragment.appendChild(pageElement);
+        });
+
+        this.elements.grid.innerHTML = '';
+        this.elements.grid.appendChild(fragment);
+        this.updateSummary();
+    }
+
+    /**
+     * 显示错误信息
+     * @param {string} message - 错误信息
+     */
+    showError(message) {
+        if (!this.isOpen()) return;
+        this.elements.grid.innerHTML = '';
+
+        const messageElement = document.createElement('div');
+        messageElement.className = 'gallery-message error';
+        messageElement.textContent = message;
+        this.elements.grid.appendChild(messageElement);
+    }
+
+    /**
+     * 切换页面选择状态
+     * @param {HTMLElement} pageElement - 缩略图元素
+     */
+    togglePage(pageElement) {
+        const path = pageElement.dataset.path;
+        const excluded = !this.excludedPages.has(path);
+
+        if (excluded) {
+            this.excludedPages.add(path);
+        } else {
+            this.excludedPages.delete(path);
+        }
+
+        pageElement.classList.toggle('excluded', excluded);
+        this.updateSummary();
+        this.emit('pageToggled', { fileId: this.fileId, path, excluded });
+    }
+
+    /**
+     * 切换页面是否与下一页合并为跨页
+     * @param {HTMLElement} pageElement - 缩略图元素
+     */
+    toggleSpread(pageElement) {
+        const path = pageElement.dataset.path;
+        const merged = !this.spreadPages.has(path);
+
+        if (merged) {
+            this.spreadPages.add(path);
+        } else {
+            this.spreadPages.delete(path);
+        }
+
+        pageElement.classList.toggle('spread-start', merged);
+        this.emit('spreadToggled', { fileId: this.fileId, path, merged });
+    }
+
+    /**
+     * 更新已选页数
+     */
+    updateSummary() {
+        const selected = this.pages.filter(page => !this.excludedPages.has(page.originalPath)).length;
+        this.elements.summary.textContent = `已选 ${selected} / ${this.pages.length} 页`;
+    }
+
+    /**
+     * 关闭面板
+     */
+    close() {
+        if (!this.isOpen()) return;
+
+        const fileId = this.fileId;
+        this.elements.overlay.style.display = 'none';
+        this.elements.grid.innerHTML = '';
+        this.releaseImages();
+        this.pages = [];
+        this.fileId = null;
+
+        this.emit('closed', { fileId });
+    }
+
+    /**
+     * 释放缩略图地址
+     */
+    releaseImages() {
+        this.objectUrls.forEach(url => URL.revokeObjectURL(url));
+        this.objectUrls = [];
+    }
+
+    /**
+     * 触发事件
+     * @param {string} eventName - 事件名称
+     * @param {any} data - 事件数据
+     */
+    emit(eventName, data) {
+        const listeners = this.eventListeners.get(eventName) || [];
+        listeners.forEach(callback => {
+            try {
+                callback(data);
+            } catch (error) {
+                console.error(`事件监听器错误 (${eventName}):`, error);
+            }
+        });
+    }
+
+    /**
+     * 添加事件监听器
+     * @param {string} eventName - 事件名称
+     * @param {Function} callback - 回调函数
+     */
+    on(eventName, callback) {
+        if (!this.eventListeners.has(eventName)) {
+            this.eventListeners.set(eventName, []);
+        }
+        this.eventListeners.get(eventName).push(callback);
+    }
+}
+
+// 导出页面预览类
+window.PreviewGallery = PreviewGallery;
\ No newline at end of file
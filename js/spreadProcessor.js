@@ -0,0 +1,286 @@
+// 跨页处理模块（拆分横向跨页、合并标记的左右半页）
+class SpreadProcessor {
+    constructor() {
+        this.spreadRatio = 1.2; // 宽高比不低于该值视为跨页
+        this.jpegQuality = 0.92; // 重新编码JPEG时的质量 (0-1)
+        this.extensions = {
+            'image/jpeg': 'jpg',
+            'image/png': 'png',
+            'image/webp': 'webp',
+            'image/avif': 'avif'
+        };
+        // 矢量图和动图无法按像素裁剪拼接
+        this.skippedMimeTypes = ['image/svg+xml', 'image/gif'];
+    }
+
+    /**
+     * 检查当前环境是否可以解码并重新编码图片
+     * @returns {boolean} 是否支持
+     */
+    static isSupported() {
+        return typeof createImageBitmap !== 'undefined' &&
+            (typeof OffscreenCanvas !== 'undefined' || typeof document !== 'undefined');
+    }
+
+    /**
+     * 处理跨页：拆分横向跨页、合并标记的半页，并重新计算页序
+     * @param {object[]} images - 页面图片（输出顺序）
+     * @param {object} options - {split: 是否拆分跨页, mergePages: 与下一页合并的页面originalPath数组,
+     *                            direction: 阅读方向 ltr|rtl}
+     * @param {Function} progressCallback - 进度回调函数（可选）
+     * @param {AbortSignal} signal - 中止信号（可选）
+     * @returns {Promise<object>} {images: 处理后的页面, stats: {split, merged, failed}}
+     */
+    async processSpreads(images, options = {}, progressCallback, signal) {
+        const rtl = options.direction === 'rtl';
+        const mergeStarts = new Set(options.mergePages || []);
+        const stats = { split: 0, merged: 0, failed: 0 };
+        const results = [];
+
+        for (let i = 0; i < images.length; i++) {
+            const image = images[i];
+            const next = images[i + 1];
+
+            if (signal && signal.aborted) {
+                throw Utils.createAbortError();
+            }
+
+            if (progressCallback) {
+                progressCallback({
+                    current: i + 1,
+                    total: images.length,
+                    fileName: image.fileName,
+                    status: 'spreads'
+                });
+            }
+
+            if (mergeStarts.has(image.originalPath) && next && this.canProcess(image) && this.canProcess(next)) {
+                try {
+                    results.push(await this.mergePages(image, next, rtl));
+                    stats.merged++;
+                    i++;
+                    continue;
+                } catch (error) {
+                    console.warn(`合并跨页失败 ${image.fileName}:`, error);
+                    stats.failed++;
+                }
+            }
+
+            // 封面常是包含封底的横向图片，不拆分
+            if (options.split && !image.isCover && this.canProcess(image)) {
+                try {
+                    const halves = await this.splitSpread(image, rtl);
+                    if (halves) {
+                        results.push(...halves);
+                        stats.split++;
+                        continue;
+                    }
+                } catch (error) {
+                    console.warn(`拆分跨页失败 ${image.fileName}:`, error);
+                    stats.failed++;
+                }
+            }
+
+            results.push(image);
+        }
+
+        return {
+            images: results.map((image, index) => ({ ...image, pageNumber: index + 1 })),
+            stats
+        };
+    }
+
+    /**
+     * 判断图片是否可以拆分或合并（未被页面引用的图片不参与）
+     * @param {object} image - 图片对象
+     * @returns {boolean} 是否可以处理
+     */
+    canProcess(image) {
+        return !image.unreferenced && !this.skippedMimeTypes.includes(image.mimeType);
+    }
+
+    /**
+     * 将横向跨页拆分为左右两页，按阅读方向排列
+     * @param {object} image - 图片对象
+     * @param {boolean} rtl - 是否从右到左阅读
+     * @returns {Promise<object[]|null>} 按阅读顺序排列的两页，不是跨页时返回null
+     */
+    async splitSpread(image, rtl) {
+        const bitmap = await this.decode(image.blob);
+
+        try {
+            const { width, height } = bitmap;
+            if (!this.isSpread(image, width, height)) {
+                return null;
+            }
+
+            const half = Math.floor(width / 2);
+            const left = this.drawRegion(bitmap, 0, half, height);
+            const right = this.drawRegion(bitmap, half, width - half, height);
+            const halves = [
+                { canvas: left, side: 'left', width: half },
+                { canvas: right, side: 'right', width: width - half }
+            ];
+            if (rtl) {
+                halves.reverse();
+            }
+
+            const baseName = Utils.removeFileExtension(image.fileName);
+            const pages = [];
+            for (let i = 0; i < halves.length; i++) {
+                const blob = await this.encodeCanvas(halves[i].canvas, image.mimeType);
+                pages.push({
+                    ...image,
+                    fileName: `${baseName}_${i + 1}.${this.getExtension(blob.type)}`,
+                    blob: blob,
+                    size: blob.size,
+                    mimeType: blob.type,
+                    width: halves[i].width,
+                    height: height,
+                    splitFrom: image.originalPath,
+                    spreadHalf: halves[i].side
+                });
+            }
+
+            return pages;
+        } finally {
+            bitmap.close();
+        }
+    }
+
+    /**
+     * 判断图片是否为跨页
+     * EPUB声明为左页或右页的是单页；声明居中（page-spread-center）的横向图片是跨页；
+     * 未声明时按宽高比判断
+     * @param {object} image - 图片对象
+     * @param {number} width - 宽度
+     * @param {number} height - 高度
+     * @returns {boolean} 是否为跨页
+     */
+    isSpread(image, width, height) {
+        if (image.pageSpread === 'left' || image.pageSpread === 'right') {
+            return false;
+        }
+        if (image.pageSpread === 'center') {
+            return width > height;
+        }
+        return width >= height * this.spreadRatio;
+    }
+
+    /**
+     * 将相邻两页合并为一张跨页（从右到左阅读时第一页放在右侧）
+     * @param {object} first - 阅读顺序中的第一页
+     * @param {object} second - 阅读顺序中的第二页
+     * @param {boolean} rtl - 是否从右到左阅读
+     * @returns {Promise<object>} 合并后的图片对象
+     */
+    async mergePages(first, second, rtl) {
+        const firstBitmap = await this.decode(first.blob);
+        let secondBitmap = null;
+
+        try {
+            secondBitmap = await this.decode(second.blob);
+            const [leftBitmap, rightBitmap] = rtl ? [secondBitmap, firstBitmap] : [firstBitmap, secondBitmap];
+
+            const width = leftBitmap.width + rightBitmap.width;
+            const height = Math.max(leftBitmap.height, rightBitmap.height);
+            const canvas = this.createCanvas(width, height);
+            const context = canvas.getContext('2d');
+
+            // 两页高度不同时空白处填充白色
+            context.fillStyle = '#ffffff';
+            context.fillRect(0, 0, width, height);
+            context.drawImage(leftBitmap, 0, 0);
+            context.drawImage(rightBitmap, leftBitmap.width, 0);
+
+            const blob = await this.encodeCanvas(canvas, first.mimeType);
+            return {
+                ...first,
+                fileName: `${Utils.removeFileExtension(first.fileName)}.${this.getExtension(blob.type)}`,
+                blob: blob,
+                size: blob.size,
+                mimeType: blob.type,
+                width: width,
+                height: height,
+                mergedFrom: [first.originalPath, second.originalPath],
+                isSpread: true
+            };
+        } finally {
+            firstBitmap.close();
+            if (secondBitmap) secondBitmap.close();
+        }
+    }
+
+    /**
+     * 解码图片
+     * @param {Blob} blob - 图片数据
+     * @returns {Promise<ImageBitmap>} 图片
+     */
+    async decode(blob) {
+        if (!SpreadProcessor.isSupported()) {
+            throw new Error('当前环境不支持图片处理');
+        }
+        return createImageBitmap(blob);
+    }
+
+    /**
+     * 将图片的一部分绘制到新画布
+     * @param {ImageBitmap} bitmap - 图片
+     * @param {number} x - 起始横坐标
+     * @param {number} width - 宽度
+     * @param {number} height - 高度
+     * @returns {OffscreenCanvas|HTMLCanvasElement} 画布
+     */
+    drawRegion(bitmap, x, width, height) {
+        const canvas = this.createCanvas(width, height);
+        canvas.getContext('2d').drawImage(bitmap, x, 0, width, height, 0, 0, width, height);
+        return canvas;
+    }
+
+    /**
+     * 创建画布（优先使用OffscreenCanvas，Worker中也可用）
+     * @param {number} width - 宽度
+     * @param {number} height - 高度
+     * @returns {OffscreenCanvas|HTMLCanvasElement} 画布
+     */
+    createCanvas(width, height) {
+        if (typeof OffscreenCanvas !== 'undefined') {
+            return new OffscreenCanvas(width, height);
+        }
+
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+        return canvas;
+    }
+
+    /**
+     * 按原图格式编码画布（浏览器无法编码该格式时得到PNG）
+     * @param {OffscreenCanvas|HTMLCanvasElement} canvas - 画布
+     * @param {string} mimeType - 原图MIME类型
+     * @returns {Promise<Blob>} 图片数据
+     */
+    async encodeCanvas(canvas, mimeType) {
+        const type = this.extensions[mimeType] ? mimeType : 'image/png';
+        const blob = canvas.convertToBlob
+            ? await canvas.convertToBlob({ type, quality: this.jpegQuality })
+            : await new Promise(resolve => canvas.toBlob(resolve, type, this.jpegQuality));
+
+        if (!blob) {
+            throw new Error('图片编码失败');
+        }
+        return blob;
+    }
+
+    /**
+     * 根据MIME类型获取扩展名
+     * @param {string} mimeType - MIME类型
+     * @returns {string} 扩展名
+     */
+    getExtension(mimeType) {
+        return this.extensions[mimeType] || 'png';
+    }
+}
+
+// 导出跨页处理类
+window.SpreadProcessor = SpreadProcessor;
\ No newline at end of file
@@ -0,0 +1,86 @@
+// 任务调度模块
+class TaskScheduler {
+    /**
+     * @param {number} concurrency - 最大并发任务数
+     */
+    constructor(concurrency = 3) {
+        this.concurrency = concurrency;
+        this.running = 0;
+        this.queue = []; // 等待执行的任务
+        this.isPaused = false;
+    }
+
+    /**
+     * 添加任务
+     * @param {Function} task - 返回Promise的任务函数
+     * @returns {Promise<any>} 任务结果
+     */
+    add(task) {
+        return new Promise((resolve, reject) => {
+            this.queue.push({ task, resolve, reject });
+            this.next();
+        });
+    }
+
+    /**
+     * 在并发上限内启动排队任务
+     */
+    next() {
+        while (!this.isPaused && this.running < this.concurrency && this.queue.length > 0) {
+            const { task, resolve, reject } = this.queue.shift();
+            this.running++;
+
+            Promise.resolve()
+                .then(task)
+                .then(resolve, reject)
+                .finally(() => {
+                    this.running--;
+                    this.next();
+                });
+        }
+    }
+
+    /**
+     * 暂停调度：正在执行的任务继续完成，排队任务暂不启动
+     */
+    pause() {
+        this.isPaused = true;
+    }
+
+    /**
+     * 恢复调度
+     */
+    resume() {
+        this.isPaused = false;
+        this.next();
+    }
+
+    /**
+     * 设置最大并发任务数
+     * @param {number} concurrency - 最大并发任务数
+     */
+    setConcurrency(concurrency) {
+        if (concurrency > 0) {
+            this.concurrency = concurrency;
+            this.next();
+        } else {
+            console.warn('最大并发任务数必须大于0');
+        }
+    }
+
+    /**
+     * 获取当前状态
+     * @returns {object} 当前状态
+     */
+    getStatus() {
+        return {
+            concurrency: this.concurrency,
+            running: this.running,
+            queueLength: this.queue.length,
+            isPaused: this.isPaused
+        };
+    }
+}
+
+// 导出任务调度器类
+window.TaskScheduler = TaskScheduler;
\ No newline at end of file
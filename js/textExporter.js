@@ -0,0 +1,173 @@
+// 正文导出模块（将章节正文生成为TXT/Markdown/HTML文件）
+class TextExporter {
+    constructor() {
+        this.formats = {
+            txt: { extension: 'txt' },
+            md: { extension: 'md' },
+            html: { extension: 'html' }
+        };
+        this.textFolder = 'text'; // 正文文件所在目录，与图片目录并列
+        this.maxTitleLength = 60; // 文件名中章节标题的最大长度
+    }
+
+    /**
+     * 生成各章节的正文文件
+     * @param {object[]} chapters - 章节 [{title, blocks}]
+     * @param {string} format - 输出格式 (txt, md, html)
+     * @param {Map<string, string[]>} imageEntries - 插图原路径 -> 压缩包中的文件路径（拆分的跨页对应多个文件）
+     * @returns {object[]} [{path: 压缩包中的路径, content: 文件内容}]
+     */
+    buildFiles(chapters, format, imageEntries) {
+        const target = this.formats[format];
+        if (!target) {
+            throw new Error(`不支持的正文格式: ${format}`);
+        }
+
+        // 正文文件在text目录中，插图链接相对于该目录
+        const resolveImage = (path) => (imageEntries.get(path) || []).map(entry => `../${entry}`);
+        const digits = Math.max(2, String(chapters.length).length);
+
+        return chapters.map((chapter, index) => ({
+            path: `${this.textFolder}/${this.getChapterFileName(chapter, index, digits)}.${target.extension}`,
+            content: this.renderChapter(chapter, format, resolveImage)
+        }));
+    }
+
+    /**
+     * 生成章节文件名（不含扩展名）：序号加标题
+     * @param {object} chapter - 章节
+     * @param {number} index - 章节索引
+     * @param {number} digits - 序号位数
+     * @returns {string} 文件名
+     */
+    getChapterFileName(chapter, index, digits) {
+        const title = Utils.sanitizePathSegment(chapter.title, this.maxTitleLength);
+        const number = String(index + 1).padStart(digits, '0');
+        return title ? `${number} ${title}` : number;
+    }
+
+    /**
+     * 按格式生成章节内容
+     * @param {object} chapter - 章节 {title, blocks}
+     * @param {string} format - 输出格式 (txt, md, html)
+     * @param {Function} resolveImage - 插图原路径 -> 相对链接数组，已不在输出中的插图返回空数组
+     * @returns {string} 文件内容
+     */
+    renderChapter(chapter, format, resolveImage) {
+        switch (format) {
+            case 'md':
+                return this.renderMarkdown(chapter, resolveImage);
+            case 'html':
+                return this.renderHtml(chapter, resolveImage);
+            default:
+                return this.renderText(chapter, resolveImage);
+        }
+    }
+
+    /**
+     * 生成纯文本，插图以链接文本保留在原位置
+     * @param {object} chapter - 章节
+     * @param {Function} resolveImage - 插图链接解析函数
+     * @returns {string} 文本内容
+     */
+    renderText(chapter, resolveImage) {
+        const parts = [chapter.title];
+
+        chapter.blocks.forEach(block => {
+            if (block.type === 'image') {
+                resolveImage(block.path).forEach(link => parts.push(`[插图: ${link}]`));
+            } else if (!(block.type === 'heading' && block.text === chapter.title)) {
+                parts.push(block.text);
+            }
+        });
+
+        return parts.join('\n\n') + '\n';
+    }
+
+    /**
+     * 生成Markdown
+     * @param {object} chapter - 章节
+     * @param {Function} resolveImage - 插图链接解析函数
+     * @returns {string} Markdown内容
+     */
+    renderMarkdown(chapter, resolveImage) {
+        const parts = [`# ${this.escapeMarkdown(chapter.title)}`];
+
+        chapter.blocks.forEach(block => {
+            switch (block.type) {
+                case 'image':
+                    resolveImage(block.path).forEach(link => {
+                        parts.push(`![${this.escapeMarkdown(block.alt)}](${encodeURI(link)})`);
+                    });
+                    break;
+                case 'heading':
+                    // 与章节标题相同的页内标题不重复输出；章节标题占用一级标题
+                    if (block.text !== chapter.title) {
+                        parts.push(`${'#'.repeat(Math.min(block.level + 1, 6))} ${this.escapeMarkdown(block.text)}`);
+                    }
+                    break;
+                default:
+                    // 段落内的换行使用行尾反斜杠表示
+                    parts.push(this.escapeMarkdown(block.text).replace(/\n/g, '\\\n'));
+            }
+        });
+
+        return parts.join('\n\n') + '\n';
+    }
+
+    /**
+     * 生成HTML
+     * @param {object} chapter - 章节
+     * @param {Function} resolveImage - 插图链接解析函数
+     * @returns {string} HTML内容
+     */
+    renderHtml(chapter, resolveImage) {
+        const escape = (text) => Utils.escapeXml(text);
+        const lines = [
+            '<!DOCTYPE html>',
+            '<html>',
+            '<head>',
+            '<meta charset="utf-8">',
+            `<title>${escape(chapter.title)}</title>`,
+            '</head>',
+            '<body>',
+            `<h1>${escape(chapter.title)}</h1>`
+        ];
+
+        chapter.blocks.forEach(block => {
+            switch (block.type) {
+                case 'image':
+                    resolveImage(block.path).forEach(link => {
+                        lines.push(`<p><img src="${escape(encodeURI(link))}" alt="${escape(block.alt)}"></p>`);
+                    });
+                    break;
+                case 'heading':
+                    if (block.text !== chapter.title) {
+                        const level = Math.min(block.level + 1, 6);
+                        lines.push(`<h${level}>${escape(block.text)}</h${level}>`);
+                    }
+                    break;
+                default:
+                    lines.push(`<p>${escape(block.text).replace(/\n/g, '<br>')}</p>`);
+            }
+        });
+
+        lines.push('</body>', '</html>');
+        return lines.join('\n') + '\n';
+    }
+
+    /**
+     * 转义Markdown特殊字符
+     * @param {string} text - 原始文本
+     * @returns {string} 转义后的文本
+     */
+    escapeMarkdown(text) {
+        return String(text || '')
+            .replace(/([\\`*_[\]<>|])/g, '\\$1')
+            .replace(/^(\s*)([#+\-])(?=\s)/gm, '$1\\$2')
+            .replace(/^(\s*)(\d+)\.(?=\s)/gm, '$1$2\\.');
+    }
+}
+
+// 导出正文导出类
+window.TextExporter = TextExporter;
\ No newline at end of file
@@ -5,6 +5,11 @@ class UIController {
         this.currentSection = 'upload';
         this.animationQueue = [];
         this.isAnimating = false;
+        // 常见MARC关系代码的显示名称
+        this.roleLabels = {
+            aut: '著', ill: '插画', art: '绘', trl: '译', edt: '编',
+            cov: '封面', pbl: '出版', nrt: '朗读', aui: '序', bkp: '制作'
+        };
         
         this.init();
     }
@@ -39,11 +44,20 @@ class UIController {
             processBtn: document.getElementById('processBtn'),
             clearBtn: document.getElementById('clearBtn'),
             downloadAllBtn: document.getElementById('downloadAllBtn'),
+            retryBtn: document.getElementById('retryBtn'),
+            pauseBtn: document.getElementById('pauseBtn'),
+            cancelBtn: document.getElementById('cancelBtn'),
+            
+            // 进度控制
+            progressControls: document.getElementById('progressControls'),
             
             // 进度相关
             progressFill: document.getElementById('progressFill'),
             progressText: document.getElementById('progressText'),
             
+            // 输出选项
+            optionControls: document.querySelectorAll('[data-option]'),
+            
             // 其他
             loadingOverlay: document.getElementById('loadingOverlay')
         };
@@ -60,6 +74,28 @@ class UIController {
             });
         }
 
+        // 重试失败文件按钮
+        if (this.elements.retryBtn) {
+            this.elements.retryBtn.addEventListener('click', () => {
+                this.emit('retryFailed');
+            });
+        }
+
+        // 暂停/继续按钮
+        if (this.elements.pauseBtn) {
+            this.elements.pauseBtn.addEventListener('click', () => {
+                const isPaused = this.elements.pauseBtn.dataset.state === 'paused';
+                this.emit(isPaused ? 'resumeProcessing' : 'pauseProcessing');
+            });
+        }
+
+        // 取消处理按钮
+        if (this.elements.cancelBtn) {
+            this.elements.cancelBtn.addEventListener('click', () => {
+                this.emit('cancelProcessing');
+            });
+        }
+
         // 全部下载按钮
         if (this.elements.downloadAllBtn) {
             this.elements.downloadAllBtn.addEventListener('click', () => {
@@ -67,6 +103,14 @@ class UIController {
             });
         }
 
+        // 输出选项变化
+        this.elements.optionControls.forEach(control => {
+            control.addEventListener('change', () => {
+                const value = control.type === 'checkbox' ? control.checked : control.value;
+                this.emit('optionsChanged', { [control.dataset.option]: value });
+            });
+        });
+
         // 窗口大小变化
         window.addEventListener('resize', Utils.debounce(() => {
             this.handleResize();
@@ -200,6 +244,71 @@ class UIController {
         }
     }
 
+    /**
+     * 将配置值同步到输出选项控件
+     * @param {object} config - 应用配置
+     */
+    setOptionValues(config) {
+        (this.elements.optionControls || []).forEach(control => {
+            const key = control.dataset.option;
+            if (!(key in config)) return;
+
+            if (control.type === 'checkbox') {
+                control.checked = !!config[key];
+            } else {
+                control.value = config[key];
+            }
+        });
+    }
+
+    /**
+     * 启用或禁用选项控件中的某个取值（当前浏览器不支持的选项）
+     * @param {string} key - 选项名
+     * @param {string} value - 选项取值
+     * @param {boolean} enabled - 是否可选
+     */
+    setOptionChoiceEnabled(key, value, enabled) {
+        (this.elements.optionControls || []).forEach(control => {
+            if (control.dataset.option !== key || !control.options) return;
+
+            Array.from(control.options).forEach(option => {
+                if (option.value === value) {
+                    option.disabled = !enabled;
+                }
+            });
+        });
+    }
+
+    /**
+     * 显示或隐藏"重试失败文件"按钮
+     * @param {number} failedCount - 失败文件数量，为0时隐藏
+     */
+    showRetryButton(failedCount = 0) {
+        if (!this.elements.retryBtn) return;
+
+        if (failedCount > 0) {
+            this.elements.retryBtn.style.display = '';
+            this.elements.retryBtn.textContent = `重试失败文件 (${failedCount})`;
+        } else {
+            this.elements.retryBtn.style.display = 'none';
+        }
+    }
+
+    /**
+     * 更新批处理控制按钮
+     * @param {string} state - 控制状态 (running, paused, hidden)
+     */
+    updateProgressControls(state = 'hidden') {
+        if (!this.elements.progressControls) return;
+
+        this.elements.progressControls.style.display = state === 'hidden' ? 'none' : 'flex';
+
+        if (this.elements.pauseBtn) {
+            this.elements.pauseBtn.dataset.state = state;
+            this.elements.pauseBtn.textContent = state === 'paused' ? '继续' : '暂停';
+        }
+    }
+
     /**
      * 更新整体进度
      * @param {number} current - 当前进度
@@ -241,6 +350,8 @@ class UIController {
                 <div class="progress-filename">${fileName}</div>
                 <div class="progress-status">${this.getStatusText(status)}</div>
             </div>
+            <button class="progress-cancel-btn" onclick="window.uiController.cancelFile('${fileId}')" 
+                    title="取消此文件">取消</button>
         `;
 
         this.elements.fileProgressList.appendChild(progressItem);
@@ -271,6 +382,12 @@ class UIController {
         // 更新进度项样式
         progressItem.className = `progress-item ${status}`;
 
+        // 已结束的文件不再显示取消按钮
+        const cancelBtn = progressItem.querySelector('.progress-cancel-btn');
+        if (cancelBtn) {
+            cancelBtn.style.display = (status === 'waiting' || status === 'processing') ? '' : 'none';
+        }
+
         // 添加动画效果
         if (status === 'completed') {
             progressItem.classList.add('success-animation');
@@ -300,19 +417,150 @@ class UIController {
         
         resultItem.innerHTML = `
             <div class="result-info">
-                <div class="result-filename">${result.fileName}</div>
+                <div class="result-filename">${result.folder ? `${result.folder}/` : ''}${result.fileName}</div>
                 <div class="result-details">
                     ${result.imageCount} 张图片 • ${Utils.formatFileSize(result.size)}
+                    ${result.unreferencedImages ? ` • 其中 ${result.unreferencedImages} 张未被页面引用` : ''}
+                    ${result.excludedPages ? ` • 已排除 ${result.excludedPages} 页${this.formatFilteredPages(result.filteredPages)}` : ''}
+                    ${result.textChapters ? ` • 正文 ${result.textChapters} 章` : ''}
+                    ${this.formatChapterFolders(result.chapterFolders)}
+                    ${result.renamedPages ? ' • 页面已按阅读顺序重命名' : ''}
+                    ${this.formatSpreadStats(result.spreadStats)}
+                    ${this.formatTranscodeStats(result.transcodeStats)}
+                    ${result.cover ? ` • 封面: ${Utils.escapeXml(result.cover.fileName)}` : ''}
+                    ${result.discoveryStrategy === 'heuristic' ? ' • 清单不可用，按目录和扩展名查找图片' : ' • 按OPF清单查找图片'}
+                    ${this.formatReadingDirection(result)}
+                    ${this.formatSeries(result.metadata)}
                 </div>
+                ${this.formatMetadataDetails(result.metadata)}
             </div>
-            <button class="download-btn" onclick="window.uiController.downloadResult('${result.fileName}')">
+            <button class="preview-btn" onclick="window.uiController.previewResult('${result.fileId}')" title="预览页面">🖼</button>
+            ${result.savedToDisk
+                ? '<span class="saved-label">已保存到文件夹</span>'
+                : `<button class="download-btn" onclick="window.uiController.downloadResult('${result.fileId}')">
                 下载
-            </button>
+            </button>`}
         `;
 
         this.elements.resultList.appendChild(resultItem);
     }
 
+    /**
+     * 生成结果项中的阅读方向和版式说明
+     * @param {object} result - 结果对象
+     * @returns {string} 说明文本
+     */
+    formatReadingDirection(result) {
+        if (!result.readingDirection) return '';
+
+        let text = result.readingDirection === 'rtl' ? ' • 从右到左' : ' • 从左到右';
+        if (result.reversed) {
+            text += '（已倒序）';
+        }
+        if (result.rendition && result.rendition.layout === 'pre-paginated') {
+            text += ' • 固定版式';
+        }
+        return text;
+    }
+
+    /**
+     * 生成结果项中的系列信息文本
+     * @param {object} metadata - EPUB元数据
+     * @returns {string} 系列信息，没有系列时为空字符串
+     */
+    formatSeries(metadata) {
+        if (!metadata || !metadata.series) return '';
+
+        const hasIndex = metadata.seriesIndex !== null && metadata.seriesIndex !== undefined;
+        return ` • 系列: ${Utils.escapeXml(metadata.series)}${hasIndex ? ` #${metadata.seriesIndex}` : ''}`;
+    }
+
+    /**
+     * 生成结果项中自动过滤页数的说明
+     * @param {object} filtered - {blank, duplicate}
+     * @returns {string} 说明文本，没有自动过滤时返回空字符串
+     */
+    formatFilteredPages(filtered) {
+        if (!filtered) return '';
+
+        const parts = [];
+        if (filtered.blank) parts.push(`空白页 ${filtered.blank}`);
+        if (filtered.duplicate) parts.push(`重复页 ${filtered.duplicate}`);
+        return parts.length > 0 ? `（${parts.join('、')}）` : '';
+    }
+
+    /**
+     * 生成结果项中的章节文件夹说明
+     * @param {number|null} count - 章节文件夹数，未启用时为null
+     * @returns {string} 说明文本
+     */
+    formatChapterFolders(count) {
+        if (count === null || count === undefined) return '';
+        return count > 0 ? ` • 按章节分为 ${count} 个文件夹` : ' • 目录中没有可用的章节，未分文件夹';
+    }
+
+    /**
+     * 生成结果项中的跨页处理说明
+     * @param {object} stats - {split, merged, failed}
+     * @returns {string} 说明文本，没有拆分或合并时返回空字符串
+     */
+    formatSpreadStats(stats) {
+        if (!stats) return '';
+
+        const parts = [];
+        if (stats.split) parts.push(`拆分跨页 ${stats.split} 张`);
+        if (stats.merged) parts.push(`合并跨页 ${stats.merged} 张`);
+        if (stats.failed) parts.push(`${stats.failed} 张处理失败`);
+        return parts.length > 0 ? ` • ${parts.join('、')}` : '';
+    }
+
+    /**
+     * 生成结果项中图片格式转换的大小变化
+     * @param {object} stats - 转换统计
+     * @returns {string} 说明文本，未转换时返回空字符串
+     */
+    formatTranscodeStats(stats) {
+        if (!stats) return '';
+
+        const format = stats.format.toUpperCase();
+        if (stats.unsupported) {
+            return ` • 当前浏览器无法编码为${format}，已保留原图`;
+        }
+
+        return ` • 转换为${format}: ${stats.convertedFiles} 张，` +
+            `${Utils.formatFileSize(stats.originalSize)} → ${Utils.formatFileSize(stats.outputSize)} (-${stats.savedRatio}%)` +
+            `${stats.keptFiles ? `，保留原图 ${stats.keptFiles} 张` : ''}`;
+    }
+
+    /**
+     * 生成结果项中的元数据信息（作者及角色、ISBN、主题）
+     * @param {object} metadata - EPUB元数据
+     * @returns {string} HTML片段，没有可显示的信息时返回空字符串
+     */
+    formatMetadataDetails(metadata) {
+        if (!metadata) return '';
+
+        const parts = [];
+        const people = [...(metadata.creators || []), ...(metadata.contributors || [])];
+
+        if (people.length > 0) {
+            const names = people.map(person => {
+                const label = person.role ? this.roleLabels[person.role] || person.role : '';
+                return label ? `${person.name}（${label}）` : person.name;
+            });
+            parts.push(`作者: ${names.join('、')}`);
+        }
+        if (metadata.isbn) {
+            parts.push(`ISBN: ${metadata.isbn}`);
+        }
+        if (metadata.subjects && metadata.subjects.length > 0) {
+            parts.push(`主题: ${metadata.subjects.join('、')}`);
+        }
+
+        if (parts.length === 0) return '';
+        return `<div class="result-details result-meta">${Utils.escapeXml(parts.join(' • '))}</div>`;
+    }
+
     /**
      * 清空结果列表
      */
@@ -351,7 +599,8 @@ class UIController {
             waiting: '⏳',
             processing: '<div class="animate-spin">⚙️</div>',
             completed: '✅',
-            error: '❌'
+            error: '❌',
+            cancelled: '⛔'
         };
         return icons[status] || '❓';
     }
@@ -366,7 +615,8 @@ class UIController {
             waiting: '等待处理',
             processing: '处理中...',
             completed: '处理完成',
-            error: '处理失败'
+            error: '处理失败',
+            cancelled: '已取消'
         };
         return texts[status] || '未知状态';
     }
@@ -479,6 +729,8 @@ class UIController {
         
         // 重置进度
         this.updateOverallProgress(0, 0, '0 / 0');
+        this.updateProgressControls('hidden');
+        this.showRetryButton(0);
         
         // 隐藏加载遮罩
         this.showLoadingOverlay(false);
@@ -516,10 +768,26 @@ class UIController {
 
     /**
      * 下载结果文件（由结果项调用）
-     * @param {string} fileName - 文件名
+     * @param {string} fileId - 文件ID
+     */
+    downloadResult(fileId) {
+        this.emit('downloadSingle', fileId);
+    }
+
+    /**
+     * 预览结果文件的页面（由结果项调用）
+     * @param {string} fileId - 文件ID
+     */
+    previewResult(fileId) {
+        this.emit('previewResult', fileId);
+    }
+
+    /**
+     * 取消单个文件（由进度项调用）
+     * @param {string} fileId - 文件ID
      */
-    downloadResult(fileName) {
-        this.emit('downloadSingle', fileName);
+    cancelFile(fileId) {
+        this.emit('cancelFile', fileId);
     }
 
     /**
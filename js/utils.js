@@ -87,6 +87,46 @@ class Utils {
         return new Promise(resolve => setTimeout(resolve, ms));
     }
 
+    /**
+     * 创建取消错误
+     * @param {string} message - 错误消息
+     * @returns {Error} name为AbortError的错误对象
+     */
+    static createAbortError(message = '已取消') {
+        const error = new Error(message);
+        error.name = 'AbortError';
+        return error;
+    }
+
+    /**
+     * 判断是否为取消错误
+     * @param {any} error - 错误对象
+     * @returns {boolean} 是否为取消错误
+     */
+    static isAbortError(error) {
+        return !!error && error.name === 'AbortError';
+    }
+
+    /**
+     * 让Promise可以被AbortSignal提前中止
+     * 中止后原任务的结果会被丢弃
+     * @param {Promise} promise - 原Promise
+     * @param {AbortSignal} signal - 中止信号
+     * @returns {Promise} 可中止的Promise
+     */
+    static abortable(promise, signal) {
+        if (!signal) return promise;
+        if (signal.aborted) return Promise.reject(this.createAbortError());
+
+        return new Promise((resolve, reject) => {
+            const onAbort = () => reject(this.createAbortError());
+            signal.addEventListener('abort', onAbort, { once: true });
+            promise.then(resolve, reject).finally(() => {
+                signal.removeEventListener('abort', onAbort);
+            });
+        });
+    }
+
     /**
      * 检查文件类型
      * @param {File} file - 文件对象
@@ -116,6 +156,21 @@ class Utils {
         return filename.replace(/\.[^/.]+$/, '');
     }
 
+    /**
+     * 清理路径中的单个名称（文件夹名或文件名）：替换非法字符并限制长度
+     * @param {string} name - 原始名称
+     * @param {number} maxLength - 最大字符数
+     * @returns {string} 清理后的名称，可能为空字符串
+     */
+    static sanitizePathSegment(name, maxLength = 60) {
+        return String(name || '')
+            .replace(/[<>:"\/\\|?*\x00-\x1F\x7F]/g, '_')
+            .replace(/\s+/g, ' ')
+            .trim()
+            .slice(0, maxLength)
+            .replace(/[\s.]+$/, '');
+    }
+
     /**
      * 安全的JSON解析
      * @param {string} jsonString - JSON字符串
@@ -131,6 +186,20 @@ class Utils {
         }
     }
 
+    /**
+     * 转义XML特殊字符
+     * @param {any} text - 原始文本
+     * @returns {string} 转义后的文本
+     */
+    static escapeXml(text) {
+        return String(text === null || text === undefined ? '' : text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&apos;');
+    }
+
     /**
      * 创建下载链接
      * @param {Blob} blob - Blob对象
@@ -0,0 +1,319 @@
+// Worker池模块
+class WorkerPool {
+    /**
+     * @param {string} scriptUrl - Worker脚本地址
+     * @param {number} size - 最大Worker数量
+     */
+    constructor(scriptUrl, size = 3) {
+        this.scriptUrl = scriptUrl;
+        this.size = size;
+        this.slots = []; // {worker, job}
+        this.queue = []; // 等待调度的任务
+        this.xmlHost = null; // 在主线程上执行XML解析的对象（Worker中没有DOMParser）
+        this.isDisabled = false;
+    }
+
+    /**
+     * 检查当前环境是否支持Web Worker
+     * @returns {boolean} 是否支持
+     */
+    static isSupported() {
+        return typeof Worker !== 'undefined';
+    }
+
+    /**
+     * 设置XML解析宿主
+     * @param {object} host - 提供XML解析方法的对象（通常是EpubParser实例）
+     */
+    setXmlHost(host) {
+        this.xmlHost = host;
+    }
+
+    /**
+     * 设置最大Worker数量
+     * @param {number} size - 最大Worker数量
+     */
+    setSize(size) {
+        if (size > 0) {
+            this.size = size;
+            this.schedule();
+        } else {
+            console.warn('Worker数量必须大于0');
+        }
+    }
+
+    /**
+     * 提交任务
+     * @param {string} type - 任务类型 (parse, metadata, analyze, spreads, transcode, pack)
+     * @param {object} payload - 任务数据
+     * @param {Function} progressCallback - 进度回调函数
+     * @param {AbortSignal} signal - 中止信号（可选）
+     * @returns {Promise<any>} 任务结果
+     */
+    run(type, payload, progressCallback, signal) {
+        if (this.isDisabled) {
+            return Promise.reject(this.createUnavailableError('Worker池已停用'));
+        }
+
+        if (signal && signal.aborted) {
+            return Promise.reject(Utils.createAbortError());
+        }
+
+        return new Promise((resolve, reject) => {
+            const job = {
+                id: Utils.generateId(),
+                type,
+                payload,
+                progressCallback,
+                resolve,
+                reject
+            };
+
+            if (signal) {
+                signal.addEventListener('abort', () => this.cancelJob(job), { once: true });
+            }
+
+            this.queue.push(job);
+            this.schedule();
+        });
+    }
+
+    /**
+     * 取消任务：排队中的直接移除，执行中的终止所在Worker
+     * @param {object} job - 任务对象
+     */
+    cancelJob(job) {
+        const queueIndex = this.queue.indexOf(job);
+        if (queueIndex > -1) {
+            this.queue.splice(queueIndex, 1);
+            job.reject(Utils.createAbortError());
+            return;
+        }
+
+        const slot = this.slots.find(s => s.job === job);
+        if (slot) {
+            slot.job = null;
+            this.removeSlot(slot);
+            job.reject(Utils.createAbortError());
+            this.schedule();
+        }
+    }
+
+    /**
+     * 将排队任务分配给空闲Worker
+     */
+    schedule() {
+        while (this.queue.length > 0) {
+            let slot = this.slots.find(s => !s.job);
+
+            if (!slot && this.slots.length < this.size) {
+                try {
+                    slot = this.createSlot();
+                } catch (error) {
+                    console.warn('创建Worker失败:', error);
+                    this.disable(error);
+                    return;
+                }
+            }
+
+            if (!slot) return;
+
+            const job = this.queue.shift();
+            slot.job = job;
+            slot.worker.postMessage({
+                type: 'job',
+                jobId: job.id,
+                jobType: job.type,
+                payload: job.payload
+            });
+        }
+
+        // 空闲且超出数量上限的Worker直接回收
+        while (this.slots.length > this.size) {
+            const idleSlot = this.slots.find(s => !s.job);
+            if (!idleSlot) break;
+            this.removeSlot(idleSlot);
+        }
+    }
+
+    /**
+     * 创建Worker槽位
+     * @returns {object} 槽位对象
+     */
+    createSlot() {
+        const slot = {
+            worker: new Worker(this.scriptUrl),
+            job: null,
+            ready: false // Worker脚本是否已加载完成
+        };
+
+        slot.worker.onmessage = (e) => this.handleMessage(slot, e.data);
+        slot.worker.onerror = (e) => {
+            e.preventDefault();
+            this.handleWorkerError(slot, e);
+        };
+
+        this.slots.push(slot);
+        return slot;
+    }
+
+    /**
+     * 移除Worker槽位
+     * @param {object} slot - 槽位对象
+     */
+    removeSlot(slot) {
+        slot.worker.terminate();
+        const index = this.slots.indexOf(slot);
+        if (index > -1) {
+            this.slots.splice(index, 1);
+        }
+    }
+
+    /**
+     * 处理Worker消息
+     * @param {object} slot - 槽位对象
+     * @param {object} message - 消息数据
+     */
+    handleMessage(slot, message) {
+        const job = slot.job;
+
+        switch (message.type) {
+            case 'ready':
+                slot.ready = true;
+                break;
+
+            case 'progress':
+                if (job && job.id === message.jobId && job.progressCallback) {
+                    job.progressCallback(message.progress);
+                }
+                break;
+
+            case 'xml':
+                this.handleXmlRequest(slot, message);
+                break;
+
+            case 'done':
+            case 'error':
+                if (!job || job.id !== message.jobId) return;
+                slot.job = null;
+
+                if (message.type === 'done') {
+                    job.resolve(message.result);
+                } else {
+                    job.reject(new Error(message.error || 'Worker任务失败'));
+                }
+
+                this.schedule();
+                break;
+
+            default:
+                console.warn('未知的Worker消息:', message);
+        }
+    }
+
+    /**
+     * 在主线程上执行Worker请求的XML解析
+     * @param {object} slot - 槽位对象
+     * @param {object} message - 请求消息 {callId, method, args}
+     */
+    handleXmlRequest(slot, message) {
+        const { callId, method, args } = message;
+
+        try {
+            if (!this.xmlHost || typeof this.xmlHost[method] !== 'function') {
+                throw new Error(`不支持的XML解析方法: ${method}`);
+            }
+
+            const result = this.xmlHost[method](...args);
+            slot.worker.postMessage({ type: 'xmlResult', callId, result });
+        } catch (error) {
+            slot.worker.postMessage({ type: 'xmlResult', callId, error: error.message });
+        }
+    }
+
+    /**
+     * 处理Worker运行错误
+     * 脚本加载失败时停用整个池；已加载的Worker崩溃时只替换该Worker
+     * @param {object} slot - 槽位对象
+     * @param {ErrorEvent} event - 错误事件
+     */
+    handleWorkerError(slot, event) {
+        console.error('Worker运行错误:', event.message || event);
+
+        const job = slot.job;
+        slot.job = null;
+        this.removeSlot(slot);
+
+        // Worker本身无法运行时停用整个池，交由调用方回退到主线程
+        if (!slot.ready) {
+            this.disable(event);
+        }
+
+        // 当前任务交由调用方在主线程重试，其余任务由新的Worker继续执行
+        if (job) {
+            job.reject(this.createUnavailableError(event.message || 'Worker运行错误'));
+        }
+
+        if (!this.isDisabled) {
+            this.schedule();
+        }
+    }
+
+    /**
+     * 停用Worker池并拒绝所有排队任务
+     * @param {any} reason - 停用原因
+     */
+    disable(reason) {
+        this.isDisabled = true;
+
+        const pending = this.queue.splice(0);
+        pending.forEach(job => {
+            job.reject(this.createUnavailableError(reason && reason.message ? reason.message : 'Worker不可用'));
+        });
+    }
+
+    /**
+     * 创建"Worker不可用"错误
+     * @param {string} message - 错误消息
+     * @returns {Error} 错误对象
+     */
+    createUnavailableError(message) {
+        const error = new Error(message);
+        error.workerUnavailable = true;
+        return error;
+    }
+
+    /**
+     * 获取当前状态
+     * @returns {object} 当前状态
+     */
+    getStatus() {
+        return {
+            size: this.size,
+            workers: this.slots.length,
+            busyWorkers: this.slots.filter(s => s.job).length,
+            queueLength: this.queue.length,
+            isDisabled: this.isDisabled
+        };
+    }
+
+    /**
+     * 终止所有Worker
+     * 未完成的任务以"Worker不可用"错误拒绝，调用方可回退到主线程处理
+     */
+    terminate() {
+        this.isDisabled = true;
+
+        this.slots.slice().forEach(slot => {
+            if (slot.job) {
+                slot.job.reject(this.createUnavailableError('Worker池已终止'));
+            }
+            this.removeSlot(slot);
+        });
+
+        this.queue.splice(0).forEach(job => job.reject(this.createUnavailableError('Worker池已终止')));
+    }
+}
+
+// 导出Worker池类
+window.WorkerPool = WorkerPool;
\ No newline at end of file
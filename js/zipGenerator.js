@@ -4,7 +4,17 @@ class ZipGenerator {
         this.compressionLevel = 6; // 压缩级别 (0-9)
         this.maxConcurrentJobs = 3; // 最大并发任务数
         this.currentJobs = 0;
-        this.jobQueue = [];
+        this.jobQueue = []; // 等待并发槽位的任务
+        this.unreferencedFolder = '_unreferenced'; // 未被页面引用的图片所在目录
+        this.imageFolder = 'images'; // 同时导出正文时图片所在目录
+        this.pageManifestName = 'pages.json'; // 按顺序重命名时记录原路径与新文件名的对照表
+        this.textExporter = new TextExporter();
+        // 本身已压缩的图片格式直接存储（STORE），再次DEFLATE几乎不会变小，只会消耗CPU
+        this.storedMimeTypes = ['image/jpeg', 'image/png', 'image/gif', 'image/webp', 'image/avif'];
+        this.mimeTypes = {
+            zip: 'application/zip',
+            cbz: 'application/vnd.comicbook+zip'
+        };
     }
 
     /**
@@ -12,83 +22,481 @@ class ZipGenerator {
      * @param {object[]} images - 图片数组
      * @param {string} fileName - ZIP文件名
      * @param {Function} progressCallback - 进度回调函数
+     * @param {object} options - 输出选项 {format: 'zip'|'cbz', metadata: EPUB元数据, signal: 中止信号}
      * @returns {Promise<Blob>} ZIP文件Blob
      */
-    async generateZipFromImages(images, fileName, progressCallback) {
+    async generateZipFromImages(images, fileName, progressCallback, options = {}) {
+        const format = options.format || 'zip';
+        const signal = options.signal;
+
         try {
-            if (!images || images.length === 0) {
-                throw new Error('没有图片可以打包');
-            }
+            const zip = await this.buildZip(images, fileName, progressCallback, options);
 
-            // 创建新的JSZip实例
-            const zip = new JSZip();
-            
-            // 添加图片到ZIP
-            for (let i = 0; i < images.length; i++) {
-                const image = images[i];
-                
-                // 更新进度
-                if (progressCallback) {
-                    progressCallback({
-                        current: i + 1,
-                        total: images.length,
-                        fileName: image.fileName,
-                        status: 'adding'
-                    });
+            const zipBlob = await this.generateContent(zip, {
+                type: 'blob',
+                mimeType: this.mimeTypes[format] || this.mimeTypes.zip,
+                compression: 'DEFLATE',
+                compressionOptions: {
+                    level: this.compressionLevel
                 }
+            }, signal, (metadata) => {
+                // ZIP生成进度回调
+                this.reportCompressProgress(progressCallback, fileName, metadata.percent);
+            });
 
-                // 生成唯一文件名（避免重复）
-                const uniqueFileName = this.generateUniqueFileName(zip, image.fileName);
-                
-                // 添加文件到ZIP
-                zip.file(uniqueFileName, image.blob, {
-                    compression: 'DEFLATE',
-                    compressionOptions: {
-                        level: this.compressionLevel
-                    }
-                });
+            return zipBlob;
+
+        } catch (error) {
+            if (Utils.isAbortError(error)) throw error;
+
+            console.error('生成ZIP文件失败:', error);
+            throw new Error(`生成ZIP文件失败: ${error.message}`);
+        }
+    }
+
+    /**
+     * 生成ZIP文件内容，中止时暂停压缩并丢弃已生成的数据
+     * @param {JSZip} zip - JSZip实例
+     * @param {object} generateOptions - JSZip生成选项
+     * @param {AbortSignal} signal - 中止信号（可选）
+     * @param {Function} onUpdate - 进度回调函数（可选）
+     * @returns {Promise<any>} 生成结果
+     */
+    generateContent(zip, generateOptions, signal, onUpdate) {
+        if (!signal) {
+            return zip.generateAsync(generateOptions, onUpdate);
+        }
+        if (signal.aborted) {
+            return Promise.reject(Utils.createAbortError());
+        }
+
+        const stream = zip.generateInternalStream(generateOptions);
+        const onAbort = () => stream.pause();
+        signal.addEventListener('abort', onAbort, { once: true });
+
+        return Utils.abortable(stream.accumulate(onUpdate), signal).finally(() => {
+            signal.removeEventListener('abort', onAbort);
+        });
+    }
 
-                // 短暂延迟，避免阻塞UI
-                if (i % 10 === 0) {
-                    await Utils.delay(1);
+    /**
+     * 从图片数组生成ZIP文件并直接写入可写流（不在内存中保留完整ZIP）
+     * @param {object[]} images - 图片数组
+     * @param {string} fileName - ZIP文件名
+     * @param {WritableStream} writable - 目标可写流（如FileSystemWritableFileStream）
+     * @param {Function} progressCallback - 进度回调函数
+     * @param {object} options - 输出选项 {format: 'zip'|'cbz', metadata: EPUB元数据, signal: 中止信号}
+     * @returns {Promise<number>} 写入的字节数
+     */
+    async writeZipToStream(images, fileName, writable, progressCallback, options = {}) {
+        try {
+            const zip = await this.buildZip(images, fileName, progressCallback, options);
+
+            return await this.streamZip(zip, writable, {
+                compression: 'DEFLATE',
+                compressionOptions: {
+                    level: this.compressionLevel
                 }
-            }
+            }, (percent) => {
+                this.reportCompressProgress(progressCallback, fileName, percent);
+            }, options.signal);
+
+        } catch (error) {
+            if (Utils.isAbortError(error)) throw error;
+
+            console.error('写入ZIP文件失败:', error);
+            throw new Error(`写入ZIP文件失败: ${error.message}`);
+        }
+    }
+
+    /**
+     * 创建包含所有图片的JSZip实例
+     * @param {object[]} images - 图片数组
+     * @param {string} fileName - ZIP文件名
+     * @param {Function} progressCallback - 进度回调函数
+     * @param {object} options - 输出选项 {format: 'zip'|'cbz', metadata: EPUB元数据, excludedPages: 预览中取消选择的页面,
+     *                           readingDirection: 阅读方向, textChapters: 正文章节, textFormat: 正文格式 (txt, md, html),
+     *                           chapterFolders: 是否按章节分文件夹, renamePages: 是否按阅读顺序重命名页面, signal: 中止信号}
+     * @returns {Promise<JSZip>} JSZip实例
+     */
+    async buildZip(images, fileName, progressCallback, options = {}) {
+        const format = options.format || 'zip';
+        const signal = options.signal;
+
+        images = this.filterExcludedPages(images, options.excludedPages);
+
+        // 漫画阅读器把压缩包中的所有图片都当作页面，CBZ只保留阅读顺序中的页面
+        if (format === 'cbz' && images) {
+            images = images.filter(image => !image.unreferenced);
+        }
+
+        if (!images || images.length === 0) {
+            throw new Error('没有图片可以打包');
+        }
 
-            // 生成ZIP文件
+        // 同时导出正文时图片放入images目录，正文放在并列的text目录
+        const textFormat = options.textChapters && options.textChapters.length > 0 ? options.textFormat : null;
+        const imagePrefix = textFormat ? `${this.imageFolder}/` : '';
+        const imageEntries = new Map(); // 原图路径 -> 压缩包中的文件路径，供正文中的插图链接使用
+        const chapterFolders = options.chapterFolders ? this.getChapterFolders(images) : new Map();
+        const pageNames = options.renamePages ? this.getSequentialNames(images) : null;
+        const pageManifest = []; // 重命名对照表
+
+        // 创建新的JSZip实例
+        const zip = new JSZip();
+        
+        // 添加图片到ZIP
+        for (let i = 0; i < images.length; i++) {
+            const image = images[i];
+
+            if (signal && signal.aborted) {
+                throw Utils.createAbortError();
+            }
+            
+            // 更新进度
             if (progressCallback) {
                 progressCallback({
-                    current: images.length,
+                    current: i + 1,
                     total: images.length,
-                    fileName: fileName,
-                    status: 'compressing'
+                    fileName: image.fileName,
+                    status: 'adding'
                 });
             }
 
-            const zipBlob = await zip.generateAsync({
-                type: 'blob',
-                compression: 'DEFLATE',
-                compressionOptions: {
-                    level: this.compressionLevel
-                }
-            }, (metadata) => {
-                // ZIP生成进度回调
-                if (progressCallback) {
-                    progressCallback({
-                        current: Math.round(metadata.percent),
-                        total: 100,
-                        fileName: fileName,
-                        status: 'compressing',
-                        percent: metadata.percent
-                    });
+            // 未被页面引用的图片单独放在末尾目录中，避免混入正文页序
+            // 按章节分文件夹时，不属于任何章节的页面（封面、扉页等）留在根目录
+            const chapterFolder = chapterFolders.get(image.chapterIndex);
+            const pageName = (pageNames && pageNames[i]) || image.fileName;
+            let entryName = pageName;
+            if (image.unreferenced) {
+                entryName = `${this.unreferencedFolder}/${image.fileName}`;
+            } else if (chapterFolder) {
+                entryName = `${chapterFolder}/${pageName}`;
+            }
+            entryName = imagePrefix + entryName;
+
+            // 生成唯一文件名（避免重复）
+            const uniqueFileName = this.generateUniqueFileName(zip, entryName);
+            (image.mergedFrom || [image.splitFrom || image.originalPath]).forEach(path => {
+                imageEntries.set(path, [...(imageEntries.get(path) || []), uniqueFileName]);
+            });
+            if (pageNames) {
+                pageManifest.push(this.createManifestEntry(image, uniqueFileName));
+            }
+            
+            // 添加文件到ZIP（按图片类型选择压缩方式）
+            zip.file(uniqueFileName, image.blob, this.getEntryCompression(image));
+
+            // 短暂延迟，避免阻塞UI
+            if (i % 10 === 0) {
+                await Utils.delay(1);
+            }
+        }
+
+        if (pageNames) {
+            zip.file(this.pageManifestName, JSON.stringify({ pages: pageManifest }, null, 2),
+                this.getEntryCompression({ mimeType: 'application/json' }));
+        }
+
+        if (textFormat) {
+            this.textExporter.buildFiles(options.textChapters, textFormat, imageEntries).forEach(file => {
+                zip.file(file.path, file.content, this.getEntryCompression({ mimeType: 'text/plain' }));
+            });
+        }
+
+        // CBZ格式附带ComicInfo.xml，供漫画阅读器读取元数据
+        if (format === 'cbz') {
+            zip.file('ComicInfo.xml', this.buildComicInfo(options.metadata, images, options.readingDirection));
+        }
+
+        // 开始生成ZIP文件
+        if (progressCallback) {
+            progressCallback({
+                current: images.length,
+                total: images.length,
+                fileName: fileName,
+                status: 'compressing'
+            });
+        }
+
+        return zip;
+    }
+
+    /**
+     * 按阅读顺序生成补零的页面文件名（0001.jpg…），未被页面引用的图片保留原文件名
+     * 封面作为第一页时编号为0000，其余页面从0001开始
+     * @param {object[]} images - 图片数组（输出顺序）
+     * @returns {Array<string|null>} 与图片对应的新文件名，保留原名时为null
+     */
+    getSequentialNames(images) {
+        const pages = images.filter(image => !image.unreferenced);
+        const firstNumber = pages.length > 0 && pages[0].isCover ? 0 : 1;
+        const digits = Math.max(4, String(firstNumber + pages.length - 1).length);
+        let sequence = firstNumber - 1;
+
+        return images.map(image => {
+            if (image.unreferenced) return null;
+
+            sequence++;
+            const extension = Utils.getFileExtension(image.fileName).toLowerCase() || 'jpg';
+            return `${String(sequence).padStart(digits, '0')}.${extension}`;
+        });
+    }
+
+    /**
+     * 生成重命名对照表中的一项
+     * @param {object} image - 图片对象
+     * @param {string} entryName - 压缩包中的文件路径
+     * @returns {object} {file, source, sources?, half?}
+     */
+    createManifestEntry(image, entryName) {
+        const entry = {
+            file: entryName,
+            source: image.splitFrom || image.originalPath
+        };
+
+        // 合并的跨页对应两个原图，拆分的跨页记录是原图的哪一半
+        if (image.mergedFrom) {
+            entry.sources = image.mergedFrom;
+        }
+        if (image.spreadHalf) {
+            entry.half = image.spreadHalf;
+        }
+        if (image.unreferenced) {
+            entry.unreferenced = true;
+        }
+
+        return entry;
+    }
+
+    /**
+     * 生成章节文件夹名："序号 - 章节标题"，按章节在页面中出现的顺序编号
+     * @param {object[]} images - 图片数组（输出顺序）
+     * @returns {Map<number, string>} 章节索引 -> 文件夹名
+     */
+    getChapterFolders(images) {
+        const chapters = new Map();
+        images.forEach(image => {
+            if (!image.unreferenced && image.chapterIndex !== null && image.chapterIndex !== undefined &&
+                !chapters.has(image.chapterIndex)) {
+                chapters.set(image.chapterIndex, image.chapterTitle);
+            }
+        });
+
+        const digits = Math.max(2, String(chapters.size).length);
+        const folders = new Map();
+        Array.from(chapters.entries()).forEach(([chapterIndex, title], index) => {
+            const number = String(index + 1).padStart(digits, '0');
+            const safeTitle = Utils.sanitizePathSegment(title);
+            folders.set(chapterIndex, safeTitle ? `${number} - ${safeTitle}` : number);
+        });
+
+        return folders;
+    }
+
+    /**
+     * 根据图片类型选择ZIP条目的压缩方式
+     * @param {object} image - 图片对象
+     * @returns {object} JSZip文件选项
+     */
+    getEntryCompression(image) {
+        if (this.shouldStore(image)) {
+            return { compression: 'STORE' };
+        }
+
+        return {
+            compression: 'DEFLATE',
+            compressionOptions: {
+                level: this.compressionLevel
+            }
+        };
+    }
+
+    /**
+     * 判断图片是否应直接存储而不压缩
+     * @param {object} image - 图片对象
+     * @returns {boolean} 是否直接存储
+     */
+    shouldStore(image) {
+        const mimeType = image.mimeType || (image.blob && image.blob.type) || '';
+        return this.storedMimeTypes.includes(mimeType);
+    }
+
+    /**
+     * 报告ZIP生成进度
+     * @param {Function} progressCallback - 进度回调函数
+     * @param {string} fileName - ZIP文件名
+     * @param {number} percent - 完成百分比
+     */
+    reportCompressProgress(progressCallback, fileName, percent) {
+        if (progressCallback) {
+            progressCallback({
+                current: Math.round(percent),
+                total: 100,
+                fileName: fileName,
+                status: 'compressing',
+                percent: percent
+            });
+        }
+    }
+
+    /**
+     * 将JSZip实例以流的方式写入可写流，写入完成后关闭流
+     * 每个数据块写入完成前暂停生成，内存中只保留当前数据块
+     * 出错或中止时先中止可写流（不会覆盖目标文件），再拒绝返回的Promise
+     * @param {JSZip} zip - JSZip实例
+     * @param {WritableStream} writable - 目标可写流
+     * @param {object} generateOptions - JSZip生成选项
+     * @param {Function} onProgress - 进度回调函数，参数为完成百分比（可选）
+     * @param {AbortSignal} signal - 中止信号（可选）
+     * @returns {Promise<number>} 写入的字节数
+     */
+    streamZip(zip, writable, generateOptions, onProgress, signal) {
+        const writer = writable.getWriter();
+        let bytesWritten = 0;
+
+        return new Promise((resolve, reject) => {
+            let pendingWrite = Promise.resolve();
+            let failed = false;
+
+            const fail = (error) => {
+                if (failed) return;
+                failed = true;
+                stream.pause();
+                if (signal) {
+                    signal.removeEventListener('abort', onAbort);
                 }
+                writer.abort(error).catch(() => {}).then(() => reject(error));
+            };
+
+            const onAbort = () => fail(Utils.createAbortError());
+
+            const stream = zip.generateInternalStream({
+                ...generateOptions,
+                type: 'uint8array',
+                streamFiles: true
             });
 
-            return zipBlob;
+            stream.on('data', (chunk, metadata) => {
+                stream.pause();
+                bytesWritten += chunk.length;
 
-        } catch (error) {
-            console.error('生成ZIP文件失败:', error);
-            throw new Error(`生成ZIP文件失败: ${error.message}`);
+                pendingWrite = writer.write(chunk).then(() => {
+                    if (onProgress) {
+                        onProgress(metadata.percent);
+                    }
+                    if (!failed) {
+                        stream.resume();
+                    }
+                }, fail);
+            });
+
+            stream.on('error', fail);
+
+            stream.on('end', () => {
+                pendingWrite
+                    .then(() => writer.close())
+                    .then(() => {
+                        if (signal) {
+                            signal.removeEventListener('abort', onAbort);
+                        }
+                        resolve(bytesWritten);
+                    }, fail);
+            });
+
+            if (signal) {
+                if (signal.aborted) {
+                    onAbort();
+                    return;
+                }
+                signal.addEventListener('abort', onAbort, { once: true });
+            }
+
+            stream.resume();
+        });
+    }
+
+    /**
+     * 生成ComicInfo.xml内容
+     * @param {object} metadata - EPUB元数据
+     * @param {object[]} images - 图片数组（顺序即页序）
+     * @param {string} readingDirection - 阅读方向 (ltr, rtl)
+     * @returns {string} ComicInfo.xml文本
+     */
+    buildComicInfo(metadata, images, readingDirection) {
+        const meta = metadata || {};
+        const lines = [
+            '<?xml version="1.0" encoding="utf-8"?>',
+            '<ComicInfo xmlns:xsd="http://www.w3.org/2001/XMLSchema" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance">'
+        ];
+
+        const addField = (tag, value) => {
+            if (value !== undefined && value !== null && value !== '') {
+                lines.push(`  <${tag}>${Utils.escapeXml(value)}</${tag}>`);
+            }
+        };
+
+        addField('Title', meta.title);
+        addField('Series', meta.series);
+        if (meta.series && meta.seriesIndex !== null && meta.seriesIndex !== undefined) {
+            addField('Number', meta.seriesIndex);
+        }
+        addField('Summary', meta.description);
+
+        // 日期拆分为年月日
+        const dateMatch = /^(\d{4})(?:-(\d{2}))?(?:-(\d{2}))?/.exec(meta.date || '');
+        if (dateMatch) {
+            addField('Year', parseInt(dateMatch[1], 10));
+            if (dateMatch[2]) addField('Month', parseInt(dateMatch[2], 10));
+            if (dateMatch[3]) addField('Day', parseInt(dateMatch[3], 10));
+        }
+
+        // 按MARC角色代码汇总创作者和贡献者
+        const people = [...(meta.creators || []), ...(meta.contributors || [])];
+        const namesByRole = (...roles) => people
+            .filter(person => roles.includes(person.role))
+            .map(person => person.name)
+            .join(', ');
+
+        // ComicInfo.xsd按xs:sequence定义字段，必须按架构顺序写入
+        addField('Writer', meta.creator);
+        addField('Penciller', namesByRole('ill', 'art'));
+        addField('CoverArtist', namesByRole('cov'));
+        addField('Editor', namesByRole('edt'));
+        addField('Publisher', meta.publisher);
+        addField('Genre', (meta.subjects || []).join(', '));
+        addField('PageCount', images.length);
+        addField('LanguageISO', meta.language);
+        if (readingDirection === 'rtl') {
+            addField('Manga', 'YesAndRightToLeft');
         }
+
+        // 封面：优先使用已识别的封面，否则视第一页为封面
+        const markedCover = images.findIndex(image => image.isCover);
+        const coverIndex = markedCover > -1 ? markedCover : 0;
+
+        lines.push('  <Pages>');
+        images.forEach((image, index) => {
+            const attributes = [`Image="${index}"`];
+            if (index === coverIndex) {
+                attributes.push('Type="FrontCover"');
+            }
+            const size = image.size || (image.blob ? image.blob.size : 0);
+            if (size) {
+                attributes.push(`ImageSize="${size}"`);
+            }
+            if (image.isSpread) {
+                attributes.push('DoublePage="true"');
+            }
+            if (image.width && image.height) {
+                attributes.push(`ImageWidth="${image.width}"`, `ImageHeight="${image.height}"`);
+            }
+            lines.push(`    <Page ${attributes.join(' ')} />`);
+        });
+        lines.push('  </Pages>');
+        lines.push('</ComicInfo>');
+
+        return lines.join('\n');
     }
 
     /**
@@ -114,25 +522,20 @@ class ZipGenerator {
 
     /**
      * 批量生成ZIP文件
+     * 最多同时生成 maxConcurrentJobs 个ZIP，结果顺序与任务顺序一致
      * @param {object[]} tasks - 任务数组，每个任务包含 {images, fileName}
      * @param {Function} progressCallback - 进度回调函数
      * @returns {Promise<object[]>} 生成结果数组
      */
     async generateMultipleZips(tasks, progressCallback) {
-        const results = [];
         const total = tasks.length;
 
-        // 使用队列控制并发数量
-        for (let i = 0; i < tasks.length; i++) {
-            const task = tasks[i];
-            
+        // 使用并发槽位控制同时执行的任务数量
+        return Promise.all(tasks.map(async (task, i) => {
+            // 等待可用的并发槽位
+            await this.acquireSlot();
+
             try {
-                // 等待可用的并发槽位
-                await this.waitForAvailableSlot();
-                
-                // 开始任务
-                this.currentJobs++;
-                
                 const result = await this.generateZipFromImages(
                     task.images,
                     task.fileName,
@@ -148,42 +551,74 @@ class ZipGenerator {
                     }
                 );
 
-                results.push({
+                return {
                     success: true,
                     fileName: task.fileName,
                     blob: result,
                     size: result.size,
                     imageCount: task.images.length
-                });
+                };
 
             } catch (error) {
                 console.error(`生成ZIP失败 ${task.fileName}:`, error);
-                results.push({
+                return {
                     success: false,
                     fileName: task.fileName,
                     error: error.message,
                     blob: null,
                     size: 0,
                     imageCount: task.images ? task.images.length : 0
-                });
+                };
             } finally {
-                this.currentJobs--;
+                this.releaseSlot();
             }
+        }));
+    }
+
+    /**
+     * 获取并发槽位，槽位已满时排队等待释放
+     * @returns {Promise<void>}
+     */
+    acquireSlot() {
+        if (this.currentJobs < this.maxConcurrentJobs) {
+            this.currentJobs++;
+            return Promise.resolve();
         }
 
-        return results;
+        return new Promise(resolve => {
+            this.jobQueue.push(resolve);
+        });
     }
 
     /**
-     * 等待可用的并发槽位
-     * @returns {Promise<void>}
+     * 释放并发槽位，并唤醒下一个排队任务
      */
-    async waitForAvailableSlot() {
-        while (this.currentJobs >= this.maxConcurrentJobs) {
-            await Utils.delay(100);
+    releaseSlot() {
+        const next = this.jobQueue.shift();
+        if (next && this.currentJobs <= this.maxConcurrentJobs) {
+            // 槽位直接转交给排队任务，currentJobs保持不变
+            next();
+        } else {
+            if (next) this.jobQueue.unshift(next);
+            this.currentJobs = Math.max(0, this.currentJobs - 1);
         }
     }
 
+    /**
+     * 去掉在预览中取消选择的页面
+     * @param {object[]} images - 图片数组
+     * @param {string[]} excludedPages - 取消选择的页面（图片originalPath）
+     * @returns {object[]} 保留的图片
+     */
+    filterExcludedPages(images, excludedPages) {
+        if (!images || !excludedPages || excludedPages.length === 0) {
+            return images;
+        }
+
+        const excluded = new Set(excludedPages);
+        return images.filter(image => !excluded.has(image.originalPath));
+    }
+
     /**
      * 创建包含所有ZIP文件的总压缩包
      * @param {object[]} zipResults - ZIP生成结果数组
@@ -192,26 +627,12 @@ class ZipGenerator {
      */
     async createArchive(zipResults, archiveName = 'epub_converted_files.zip') {
         try {
-            const archive = new JSZip();
-            
-            // 添加所有成功生成的ZIP文件
-            const successfulResults = zipResults.filter(result => result.success && result.blob);
-            
-            if (successfulResults.length === 0) {
-                throw new Error('没有成功生成的ZIP文件可以打包');
-            }
+            const archive = this.buildArchive(zipResults);
 
-            for (const result of successfulResults) {
-                archive.file(result.fileName, result.blob);
-            }
-
-            // 生成总压缩包
+            // 生成总压缩包（内部文件已经压缩过，直接存储）
             const archiveBlob = await archive.generateAsync({
                 type: 'blob',
-                compression: 'DEFLATE',
-                compressionOptions: {
-                    level: this.compressionLevel
-                }
+                compression: 'STORE'
             });
 
             return archiveBlob;
@@ -222,6 +643,56 @@ class ZipGenerator {
         }
     }
 
+    /**
+     * 将多个ZIP文件打包为一个总压缩包并直接写入可写流
+     * @param {object[]} zipResults - ZIP结果数组
+     * @param {WritableStream} writable - 目标可写流
+     * @param {Function} progressCallback - 进度回调函数（可选）
+     * @returns {Promise<number>} 写入的字节数
+     */
+    async writeArchiveToStream(zipResults, writable, progressCallback) {
+        try {
+            const archive = this.buildArchive(zipResults);
+
+            return await this.streamZip(archive, writable, {
+                compression: 'STORE'
+            }, progressCallback);
+
+        } catch (error) {
+            console.error('写入总压缩包失败:', error);
+            throw new Error(`写入总压缩包失败: ${error.message}`);
+        }
+    }
+
+    /**
+     * 创建包含所有成功结果的总压缩包JSZip实例
+     * @param {object[]} zipResults - ZIP结果数组
+     * @returns {JSZip} JSZip实例
+     */
+    buildArchive(zipResults) {
+        const archive = new JSZip();
+
+        // 添加所有成功生成的ZIP文件
+        const successfulResults = zipResults.filter(result => result.success && result.blob);
+
+        if (successfulResults.length === 0) {
+            throw new Error('没有成功生成的ZIP文件可以打包');
+        }
+
+        for (const result of successfulResults) {
+            // 按系列分组时放入各自的子文件夹
+            const folderPrefix = result.folder ? `${result.folder}/` : '';
+            archive.file(folderPrefix + result.fileName, result.blob, { compression: 'STORE' });
+
+            // 单独保存的封面放在输出文件旁边
+            if (result.cover && result.cover.blob) {
+                archive.file(folderPrefix + result.cover.fileName, result.cover.blob, { compression: 'STORE' });
+            }
+        }
+
+        return archive;
+    }
+
     /**
      * 验证图片数据
      * @param {object[]} images - 图片数组
@@ -307,20 +778,29 @@ class ZipGenerator {
     /**
      * 获取压缩统计信息
      * @param {object[]} images - 原始图片数组
-     * @param {Blob} zipBlob - 压缩后的ZIP文件
+     * @param {Blob|object} zipBlob - 压缩后的ZIP文件（或写入磁盘后的 {size}）
      * @returns {object} 压缩统计信息
      */
     getCompressionStats(images, zipBlob) {
-        const originalSize = images.reduce((sum, img) => sum + (img.size || img.blob.size || 0), 0);
+        const getSize = (img) => img.size || img.blob.size || 0;
+        const originalSize = images.reduce((sum, img) => sum + getSize(img), 0);
         const compressedSize = zipBlob.size;
         const compressionRatio = originalSize > 0 ? (1 - compressedSize / originalSize) * 100 : 0;
 
+        // 直接存储的图片跳过了DEFLATE，这部分数据不再消耗压缩时间
+        const storedImages = images.filter(img => this.shouldStore(img));
+        const storedSize = storedImages.reduce((sum, img) => sum + getSize(img), 0);
+
         return {
             originalSize,
             compressedSize,
             compressionRatio: Math.round(compressionRatio * 100) / 100,
             savedBytes: originalSize - compressedSize,
-            fileCount: images.length
+            fileCount: images.length,
+            storedFiles: storedImages.length,
+            deflatedFiles: images.length - storedImages.length,
+            storedSize,
+            skippedCompressionRatio: originalSize > 0 ? Math.round(storedSize / originalSize * 10000) / 100 : 0
         };
     }
 
@@ -343,6 +823,12 @@ class ZipGenerator {
     setMaxConcurrentJobs(maxJobs) {
         if (maxJobs > 0) {
             this.maxConcurrentJobs = maxJobs;
+
+            // 上限提高时唤醒排队任务
+            while (this.jobQueue.length > 0 && this.currentJobs < this.maxConcurrentJobs) {
+                this.currentJobs++;
+                this.jobQueue.shift()();
+            }
         } else {
             console.warn('最大并发任务数必须大于0');
         }
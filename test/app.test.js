@@ -0,0 +1,84 @@
+// 主应用模块测试：输出页面的阅读顺序
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts, runScript } = require('./helpers/loadScripts');
+const { jpeg, readZip } = require('./helpers/epub');
+
+const window = loadScripts('utils.js', 'textExporter.js', 'zipGenerator.js', 'pdfGenerator.js');
+const { ZipGenerator, PdfGenerator } = window;
+let EpubToZipApp;
+
+// 页面加载完成后再执行app.js，避免自动启动完整应用
+before(async () => {
+    if (window.document.readyState === 'loading') {
+        await new Promise(resolve => window.document.addEventListener('DOMContentLoaded', resolve));
+    }
+    runScript(window, 'app.js');
+    EpubToZipApp = window.EpubToZipApp;
+});
+
+/**
+ * 创建只带配置的应用实例（不初始化界面和模块）
+ * @param {object} config - 配置
+ * @returns {EpubToZipApp} 应用实例
+ */
+function createApp(config) {
+    return Object.assign(Object.create(EpubToZipApp.prototype), { config });
+}
+
+/**
+ * 生成测试用页面
+ * @param {string} fileName - 文件名
+ * @param {number} pageNumber - 页码
+ * @returns {object} 图片对象
+ */
+function createPage(fileName, pageNumber) {
+    return {
+        originalPath: `OEBPS/Images/${fileName}`,
+        fileName,
+        pageNumber,
+        blob: new window.Blob([jpeg], { type: 'image/jpeg' }),
+        mimeType: 'image/jpeg',
+        unreferenced: false
+    };
+}
+
+describe('EpubToZipApp', () => {
+    describe('从右到左阅读的书', () => {
+        const pages = [createPage('1.jpg', 1), createPage('2.jpg', 2), createPage('3.jpg', 3)];
+
+        it('不倒序时输出文件标记为从右到左', async () => {
+            const ordered = createApp({ reverseRtlPages: false }).arrangeReadingOrder(pages, 'rtl');
+            assert.equal(ordered.reversed, false);
+            assert.equal(ordered.outputDirection, 'rtl');
+
+            const zip = await new ZipGenerator().generateZipFromImages(ordered.pages, 'book.cbz', null, { format: 'cbz', readingDirection: ordered.outputDirection });
+            const comicInfo = await (await readZip(zip)).file('ComicInfo.xml').async('text');
+            const pdf = await new PdfGenerator().generatePdfFromImages(ordered.pages, 'book.pdf', null, { readingDirection: ordered.outputDirection });
+
+            assert.match(comicInfo, /<Manga>YesAndRightToLeft<\/Manga>/);
+            assert.match(Buffer.from(await pdf.arrayBuffer()).toString('latin1'), /\/Direction \/R2L/);
+        });
+
+        it('倒序后按从左到右输出，不再标记为从右到左', async () => {
+            const ordered = createApp({ reverseRtlPages: true }).arrangeReadingOrder(pages, 'rtl');
+            assert.equal(ordered.reversed, true);
+            assert.equal(ordered.outputDirection, 'ltr');
+            assert.deepEqual(Array.from(ordered.pages, page => [page.fileName, page.pageNumber]), [['3.jpg', 1], ['2.jpg', 2], ['1.jpg', 3]]);
+
+            const zip = await new ZipGenerator().generateZipFromImages(ordered.pages, 'book.cbz', null, { format: 'cbz', readingDirection: ordered.outputDirection });
+            const comicInfo = await (await readZip(zip)).file('ComicInfo.xml').async('text');
+            const pdf = await new PdfGenerator().generatePdfFromImages(ordered.pages, 'book.pdf', null, { readingDirection: ordered.outputDirection });
+
+            assert.doesNotMatch(comicInfo, /<Manga>/);
+            assert.doesNotMatch(Buffer.from(await pdf.arrayBuffer()).toString('latin1'), /R2L/);
+        });
+
+        it('从左到右阅读的书不受倒序设置影响', () => {
+            const ordered = createApp({ reverseRtlPages: true }).arrangeReadingOrder(pages, 'ltr');
+
+            assert.equal(ordered.reversed, false);
+            assert.equal(ordered.pages, pages);
+        });
+    });
+});
\ No newline at end of file
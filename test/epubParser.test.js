@@ -0,0 +1,318 @@
+// EPUB解析模块测试：按spine阅读顺序提取图片、识别封面、读取元数据
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts } = require('./helpers/loadScripts');
+const { jpeg, imagePage, createEpub } = require('./helpers/epub');
+
+const { EpubParser } = loadScripts('utils.js', 'epubParser.js');
+
+/**
+ * 生成按给定顺序引用图片的EPUB
+ * @param {string[]} imageNames - 各页面引用的图片文件名（阅读顺序）
+ * @param {object} options - 传给createEpub的附加选项
+ * @returns {Promise<Buffer>} EPUB内容
+ */
+function createImageBook(imageNames, options = {}) {
+    const files = { ...options.files };
+    let manifest = '';
+    let spine = '';
+
+    imageNames.forEach((name, index) => {
+        manifest += `<item id="page${index}" href="Text/page${index}.xhtml" media-type="application/xhtml+xml"/>`
+            + `<item id="image${index}" href="Images/${name}" media-type="image/jpeg"/>`;
+        spine += `<itemref idref="page${index}"/>`;
+        files[`Text/page${index}.xhtml`] = imagePage(`../Images/${name}`);
+        files[`Images/${name}`] = jpeg;
+    });
+
+    return createEpub({ ...options, manifest: manifest + (options.manifest || ''), spine, files });
+}
+
+describe('EpubParser', () => {
+    it('按spine顺序而不是文件路径排列图片', async () => {
+        const book = await createImageBook(['f3a9.jpg', '0b12.jpg', 'c7e4.jpg']);
+        const result = await new EpubParser().parseEpub(book);
+
+        assert.equal(result.success, true);
+        assert.equal(result.readingOrder, 'spine');
+        assert.deepEqual(Array.from(result.images, image => image.fileName), ['f3a9.jpg', '0b12.jpg', 'c7e4.jpg']);
+        assert.deepEqual(Array.from(result.images, image => image.pageNumber), [1, 2, 3]);
+    });
+
+    it('未被页面引用的图片追加在末尾并标记', async () => {
+        const book = await createImageBook(['b.jpg', 'a.jpg'], {
+            manifest: '<item id="extra" href="Images/0-extra.jpg" media-type="image/jpeg"/>',
+            files: { 'Images/0-extra.jpg': jpeg }
+        });
+        const result = await new EpubParser().parseEpub(book);
+
+        assert.deepEqual(Array.from(result.images, image => image.fileName), ['b.jpg', 'a.jpg', '0-extra.jpg']);
+        assert.deepEqual(Array.from(result.images, image => image.unreferenced), [false, false, true]);
+        assert.equal(result.unreferencedImages, 1);
+    });
+
+    describe('按清单发现图片', () => {
+        it('按media-type识别没有扩展名的图片，忽略清单外的文件', async () => {
+            const book = await createEpub({
+                manifest: '<item id="p1" href="p1.xhtml" media-type="application/xhtml+xml"/>'
+                    + '<item id="img" href="data/page01" media-type="image/jpeg"/>',
+                spine: '<itemref idref="p1"/>',
+                files: { 'p1.xhtml': imagePage('data/page01'), 'data/page01': jpeg, 'images/junk.jpg': jpeg }
+            });
+            const result = await new EpubParser().parseEpub(book);
+
+            assert.equal(result.discoveryStrategy, 'manifest');
+            assert.deepEqual(Array.from(result.images, image => image.originalPath), ['OEBPS/data/page01']);
+        });
+
+        it('不支持的格式沿fallback链使用替代图片', async () => {
+            const book = await createEpub({
+                manifest: '<item id="p1" href="p1.xhtml" media-type="application/xhtml+xml"/>'
+                    + '<item id="jxl" href="a.jxl" media-type="image/jxl" fallback="jpg"/>'
+                    + '<item id="jpg" href="a.jpg" media-type="image/jpeg"/>',
+                spine: '<itemref idref="p1"/>',
+                files: { 'p1.xhtml': imagePage('a.jxl'), 'a.jxl': jpeg, 'a.jpg': jpeg }
+            });
+            const result = await new EpubParser().parseEpub(book);
+
+            assert.deepEqual(Array.from(result.images, image => [image.fileName, image.unreferenced]), [['a.jpg', false]]);
+        });
+
+        it('清单不可用时按目录名和扩展名推测', async () => {
+            const book = await createEpub({ files: { 'images/b.jpg': jpeg, 'images/a.jpg': jpeg } });
+            const result = await new EpubParser().parseEpub(book);
+
+            assert.equal(result.discoveryStrategy, 'heuristic');
+            assert.deepEqual(Array.from(result.images, image => image.fileName), ['a.jpg', 'b.jpg']);
+        });
+    });
+
+    describe('翻页方向和版式', () => {
+        it('读取page-progression-direction、rendition属性和跨页位置', async () => {
+            const book = await createEpub({
+                metadata: '<dc:title>Book</dc:title>'
+                    + '<meta property="rendition:layout">pre-paginated</meta>'
+                    + '<meta property="rendition:spread">landscape</meta>',
+                manifest: '<item id="p1" href="p1.xhtml" media-type="application/xhtml+xml"/>'
+                    + '<item id="img" href="a.jpg" media-type="image/jpeg"/>',
+                spine: '<itemref idref="p1" properties="rendition:page-spread-right"/>',
+                spineAttributes: ' page-progression-direction="rtl"',
+                files: { 'p1.xhtml': imagePage('a.jpg'), 'a.jpg': jpeg }
+            });
+            const result = await new EpubParser().parseEpub(book);
+
+            assert.deepEqual({ ...result.rendition }, { direction: 'rtl', layout: 'pre-paginated', spread: 'landscape', orientation: 'auto' });
+            assert.equal(result.images[0].pageSpread, 'right');
+        });
+
+        it('没有声明时按Kindle的primary-writing-mode判断方向', async () => {
+            const book = await createImageBook(['a.jpg'], {
+                metadata: '<dc:title>Book</dc:title><meta name="primary-writing-mode" content="horizontal-rl"/>'
+            });
+            const result = await new EpubParser().parseEpub(book);
+
+            assert.equal(result.rendition.direction, 'rtl');
+            assert.equal(result.rendition.layout, 'reflowable');
+        });
+    });
+
+    describe('正文和目录', () => {
+        const textPage = (body) => '<html xmlns="http://www.w3.org/1999/xhtml"><head><title>t</title></head>'
+            + `<body>${body}</body></html>`;
+        const chapterFiles = {
+            'c1.xhtml': textPage('<h1>序章</h1><p>第一段<ruby>漢<rt>かん</rt></ruby></p>'),
+            'c1b.xhtml': textPage('<p>续页</p>'),
+            'c2.xhtml': textPage('<p>第二章正文</p><img src="a.jpg" alt="插图"/>'),
+            'a.jpg': jpeg
+        };
+        const chapterManifest = '<item id="c1" href="c1.xhtml" media-type="application/xhtml+xml"/>'
+            + '<item id="c1b" href="c1b.xhtml" media-type="application/xhtml+xml"/>'
+            + '<item id="c2" href="c2.xhtml" media-type="application/xhtml+xml"/>'
+            + '<item id="img" href="a.jpg" media-type="image/jpeg"/>';
+        const chapterSpine = '<itemref idref="c1"/><itemref idref="c1b"/><itemref idref="c2"/>';
+        const summarize = (chapters) => Array.from(chapters, chapter => ({
+            title: chapter.title,
+            blocks: Array.from(chapter.blocks, block => block.text || block.path)
+        }));
+
+        it('按EPUB3 nav目录分章，未列入目录的页面并入上一章', async () => {
+            const book = await createEpub({
+                manifest: chapterManifest + '<item id="nav" href="nav.xhtml" media-type="application/xhtml+xml" properties="nav"/>',
+                spine: chapterSpine,
+                files: {
+                    ...chapterFiles,
+                    'nav.xhtml': '<html xmlns="http://www.w3.org/1999/xhtml" xmlns:epub="http://www.idpf.org/2007/ops"><body>'
+                        + '<nav epub:type="landmarks"><ol><li><a href="c2.xhtml">错误目录</a></li></ol></nav>'
+                        + '<nav epub:type="toc"><ol><li><a href="c1.xhtml">第一章</a></li><li><a href="c2.xhtml#p1">第二章</a></li></ol></nav>'
+                        + '</body></html>'
+                }
+            });
+            const result = await new EpubParser().parseEpub(book, null, { extractText: true });
+
+            assert.deepEqual(summarize(result.chapters), [
+                { title: '第一章', blocks: ['序章', '第一段漢', '续页'] },
+                { title: '第二章', blocks: ['第二章正文', 'OEBPS/a.jpg'] }
+            ]);
+        });
+
+        it('没有nav文档时使用NCX目录', async () => {
+            const book = await createEpub({
+                manifest: chapterManifest + '<item id="ncx" href="toc.ncx" media-type="application/x-dtbncx+xml"/>',
+                spine: chapterSpine,
+                spineAttributes: ' toc="ncx"',
+                files: {
+                    ...chapterFiles,
+                    'toc.ncx': '<ncx xmlns="http://www.daisy.org/z3986/2005/ncx/" version="2005-1"><navMap>'
+                        + '<navPoint id="n1"><navLabel><text>卷首</text></navLabel><content src="c1.xhtml"/>'
+                        + '<navPoint id="n2"><navLabel><text>第二章</text></navLabel><content src="c2.xhtml"/></navPoint>'
+                        + '</navPoint></navMap></ncx>'
+                }
+            });
+            const parser = new EpubParser();
+            const result = await parser.parseEpub(book, null, { extractText: true });
+
+            assert.deepEqual(Array.from(result.chapters, chapter => chapter.title), ['卷首', '第二章']);
+        });
+
+        it('按目录的spine范围标记图片所属章节，第一章之前的页面不属于任何章节', async () => {
+            const book = await createImageBook(['cover.jpg', 'a.jpg', 'b.jpg', 'c.jpg'], {
+                manifest: '<item id="nav" href="nav.xhtml" media-type="application/xhtml+xml" properties="nav"/>',
+                files: {
+                    'nav.xhtml': '<html xmlns="http://www.w3.org/1999/xhtml" xmlns:epub="http://www.idpf.org/2007/ops"><body>'
+                        + '<nav epub:type="toc"><ol>'
+                        + '<li><a href="Text/page1.xhtml">第一话</a><ol><li><a href="Text/page2.xhtml">小节</a></li></ol></li>'
+                        + '<li><a href="Text/page3.xhtml">第二话</a></li>'
+                        + '</ol></nav></body></html>'
+                }
+            });
+            const result = await new EpubParser().parseEpub(book);
+
+            assert.deepEqual(Array.from(result.images, image => [image.fileName, image.chapterIndex, image.chapterTitle]), [
+                ['cover.jpg', null, ''],
+                ['a.jpg', 0, '第一话'],
+                ['b.jpg', 0, '第一话'],
+                ['c.jpg', 1, '第二话']
+            ]);
+        });
+
+        it('不提取正文时不返回章节', async () => {
+            const result = await new EpubParser().parseEpub(await createImageBook(['a.jpg']));
+
+            assert.deepEqual(Array.from(result.chapters || []), []);
+        });
+    });
+
+    describe('封面识别', () => {
+        const findCover = (result) => Array.from(result.images.filter(image => image.isCover), image => image.fileName);
+
+        it('识别EPUB3的cover-image，文件名含cover也不会被排除', async () => {
+            const book = await createImageBook(['a.jpg'], {
+                manifest: '<item id="cover" href="Images/cover.jpg" media-type="image/jpeg" properties="cover-image"/>',
+                files: { 'Images/cover.jpg': jpeg }
+            });
+            const result = await new EpubParser().parseEpub(book);
+
+            assert.equal(result.hasCover, true);
+            assert.deepEqual(findCover(result), ['cover.jpg']);
+        });
+
+        it('识别EPUB2的meta name="cover"', async () => {
+            const book = await createImageBook(['a.jpg', 'b.jpg'], {
+                metadata: '<dc:title>Book</dc:title><meta name="cover" content="image1"/>'
+            });
+            const result = await new EpubParser().parseEpub(book);
+
+            assert.deepEqual(findCover(result), ['b.jpg']);
+        });
+
+        it('guide指向封面页面时取页面中的图片', async () => {
+            const book = await createImageBook(['a.jpg', 'b.jpg'], {
+                guide: '<reference type="cover" href="Text/cover.xhtml"/>',
+                files: { 'Text/cover.xhtml': imagePage('../Images/b.jpg') }
+            });
+            const result = await new EpubParser().parseEpub(book);
+
+            assert.deepEqual(findCover(result), ['b.jpg']);
+        });
+
+        it('没有声明封面时不标记', async () => {
+            const result = await new EpubParser().parseEpub(await createImageBook(['cover.jpg']));
+
+            assert.equal(result.hasCover, false);
+        });
+    });
+
+    describe('系列元数据', () => {
+        it('读取calibre:series和系列序号', async () => {
+            const book = await createEpub({
+                metadata: '<dc:title>卷二</dc:title>'
+                    + '<meta name="calibre:series" content="海贼王"/><meta name="calibre:series_index" content="2.0"/>'
+            });
+            const metadata = await new EpubParser().readMetadata(book);
+
+            assert.equal(metadata.title, '卷二');
+            assert.equal(metadata.series, '海贼王');
+            assert.equal(metadata.seriesIndex, 2);
+        });
+
+        it('EPUB3的belongs-to-collection优先于calibre:series', async () => {
+            const book = await createEpub({
+                metadata: '<dc:title>Book</dc:title>'
+                    + '<meta name="calibre:series" content="Other"/>'
+                    + '<meta property="belongs-to-collection" id="c1">Berserk</meta>'
+                    + '<meta refines="#c1" property="collection-type">series</meta>'
+                    + '<meta refines="#c1" property="group-position">1.5</meta>'
+            });
+            const metadata = await new EpubParser().readMetadata(book);
+
+            assert.equal(metadata.series, 'Berserk');
+            assert.equal(metadata.seriesIndex, 1.5);
+        });
+    });
+
+    describe('完整元数据模型', () => {
+        it('按refines细化信息解析标题类型和创作者角色', async () => {
+            const book = await createEpub({
+                metadata: '<dc:title id="t1">副标题</dc:title><dc:title id="t2">主标题</dc:title>'
+                    + '<meta refines="#t1" property="title-type">subtitle</meta>'
+                    + '<meta refines="#t2" property="title-type">main</meta>'
+                    + '<dc:creator id="c1">画师</dc:creator><dc:creator id="c2">作者</dc:creator>'
+                    + '<meta refines="#c1" property="role" scheme="marc:relators">ill</meta>'
+                    + '<meta refines="#c2" property="role" scheme="marc:relators">aut</meta>'
+                    + '<meta refines="#c2" property="file-as">Zuozhe</meta>'
+                    + '<dc:subject>漫画</dc:subject><dc:subject>冒险</dc:subject>'
+            });
+            const metadata = await new EpubParser().readMetadata(book);
+
+            assert.equal(metadata.title, '主标题');
+            assert.equal(metadata.creator, '作者');
+            assert.deepEqual(Array.from(metadata.creators, ({ name, role, fileAs }) => ({ name, role, fileAs })), [
+                { name: '画师', role: 'ill', fileAs: '' },
+                { name: '作者', role: 'aut', fileAs: 'Zuozhe' }
+            ]);
+            assert.deepEqual(Array.from(metadata.subjects), ['漫画', '冒险']);
+        });
+
+        it('ISBN校验位不正确的标识符不识别为ISBN', async () => {
+            const book = await createEpub({
+                metadata: '<dc:title>Book</dc:title>'
+                    + '<dc:identifier>urn:isbn:978-0-306-40615-8</dc:identifier>'
+                    + '<dc:identifier>0-306-40615-2</dc:identifier>'
+                    + '<dc:identifier>978-0-306-40615-7</dc:identifier>'
+            });
+            const metadata = await new EpubParser().readMetadata(book);
+
+            assert.deepEqual(Array.from(metadata.identifiers, identifier => identifier.scheme), ['', 'ISBN', 'ISBN']);
+            assert.equal(metadata.isbn, '0306406152');
+        });
+
+        it('校验ISBN-10和ISBN-13的校验位', () => {
+            const parser = new EpubParser();
+
+            assert.equal(parser.normalizeIsbn('ISBN 978-0-306-40615-7'), '9780306406157');
+            assert.equal(parser.normalizeIsbn('080442957X'), '080442957X');
+            assert.equal(parser.normalizeIsbn('9780306406158'), '');
+            assert.equal(parser.normalizeIsbn('0306406153'), '');
+        });
+    });
+});
\ No newline at end of file
@@ -0,0 +1,64 @@
+// 测试辅助：生成EPUB和读取生成的压缩包
+const JSZip = require('jszip');
+
+// 最小的JPEG头：SOI、APP0、SOF0（30x20，3通道）
+const jpeg = Uint8Array.from([
+    0xFF, 0xD8,
+    0xFF, 0xE0, 0x00, 0x04, 0x00, 0x00,
+    0xFF, 0xC0, 0x00, 0x0B, 0x08, 0x00, 0x14, 0x00, 0x1E, 0x03, 0x00, 0x00, 0x00
+]);
+
+/**
+ * 生成每页一张图片的XHTML页面
+ * @param {string} imageHref - 图片相对路径
+ * @returns {string} XHTML内容
+ */
+function imagePage(imageHref) {
+    return '<html xmlns="http://www.w3.org/1999/xhtml"><head><title>page</title></head>'
+        + `<body><img src="${imageHref}"/></body></html>`;
+}
+
+/**
+ * 生成EPUB文件
+ * @param {object} options - 选项
+ * @param {string} [options.metadata] - OPF metadata元素的内容
+ * @param {string} [options.manifest] - OPF manifest元素的内容
+ * @param {string} [options.spine] - OPF spine元素的内容
+ * @param {string} [options.spineAttributes] - spine元素的属性
+ * @param {string} [options.packageAttributes] - package元素的附加属性
+ * @param {string} [options.guide] - EPUB2 guide元素的内容（可选）
+ * @param {object} [options.files] - 其它文件（路径 -> 内容，路径相对于OEBPS/）
+ * @returns {Promise<Buffer>} EPUB内容
+ */
+async function createEpub(options = {}) {
+    const zip = new JSZip();
+    zip.file('mimetype', 'application/epub+zip');
+    zip.file('META-INF/container.xml', '<?xml version="1.0"?>'
+        + '<container version="1.0" xmlns="urn:oasis:names:tc:opendocument:xmlns:container">'
+        + '<rootfiles><rootfile full-path="OEBPS/content.opf" media-type="application/oebps-package+xml"/></rootfiles>'
+        + '</container>');
+    zip.file('OEBPS/content.opf', '<?xml version="1.0"?>'
+        + `<package xmlns="http://www.idpf.org/2007/opf" version="3.0"${options.packageAttributes || ''}>`
+        + '<metadata xmlns:dc="http://purl.org/dc/elements/1.1/" xmlns:opf="http://www.idpf.org/2007/opf">'
+        + (options.metadata || '<dc:title>Book</dc:title>')
+        + '</metadata>'
+        + `<manifest>${options.manifest || ''}</manifest>`
+        + `<spine${options.spineAttributes || ''}>${options.spine || ''}</spine>`
+        + (options.guide ? `<guide>${options.guide}</guide>` : '')
+        + '</package>');
+    Object.entries(options.files || {}).forEach(([path, content]) => {
+        zip.file(`OEBPS/${path}`, content);
+    });
+    return zip.generateAsync({ type: 'nodebuffer' });
+}
+
+/**
+ * 读取生成的压缩包
+ * @param {Blob} blob - 压缩包
+ * @returns {Promise<JSZip>} 压缩包内容
+ */
+async function readZip(blob) {
+    return JSZip.loadAsync(Buffer.from(await blob.arrayBuffer()));
+}
+
+module.exports = { jpeg, imagePage, createEpub, readZip };
\ No newline at end of file
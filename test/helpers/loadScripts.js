@@ -0,0 +1,35 @@
+// 测试辅助：在jsdom窗口中加载浏览器全局脚本（js/目录下的模块通过 window.X 导出）
+const fs = require('fs');
+const path = require('path');
+const { JSDOM } = require('jsdom');
+const JSZip = require('jszip');
+
+const scriptDir = path.join(__dirname, '..', '..', 'js');
+
+/**
+ * 创建新的浏览器窗口并按顺序加载脚本
+ * @param {...string} names - js/目录下的文件名
+ * @returns {Window} 加载了脚本的窗口
+ */
+function loadScripts(...names) {
+    const dom = new JSDOM('<!DOCTYPE html><html><body></body></html>', {
+        runScripts: 'outside-only',
+        url: 'http://localhost/'
+    });
+    const window = dom.window;
+    window.JSZip = JSZip;
+
+    names.forEach(name => runScript(window, name));
+    return window;
+}
+
+/**
+ * 在已有窗口中执行脚本
+ * @param {Window} window - 浏览器窗口
+ * @param {string} name - js/目录下的文件名
+ */
+function runScript(window, name) {
+    window.eval(fs.readFileSync(path.join(scriptDir, name), 'utf8'));
+}
+
+module.exports = { loadScripts, runScript };
\ No newline at end of file
@@ -0,0 +1,67 @@
+// 图片格式转换模块测试：转换结果的取舍和统计
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts } = require('./helpers/loadScripts');
+
+const window = loadScripts('utils.js', 'imageTranscoder.js');
+const { ImageTranscoder } = window;
+
+/**
+ * 生成测试用图片
+ * @param {string} fileName - 文件名
+ * @param {number} size - 文件大小
+ * @param {string} mimeType - 图片类型
+ * @returns {object} 图片对象
+ */
+function createImage(fileName, size, mimeType = 'image/png') {
+    return { originalPath: fileName, fileName, blob: new window.Blob([new Uint8Array(size)], { type: mimeType }), size, mimeType };
+}
+
+/**
+ * 生成按固定大小编码的转换器（测试环境无法使用Canvas）
+ * @param {number} size - 编码后的文件大小
+ * @returns {ImageTranscoder} 转换器
+ */
+function createTranscoder(size) {
+    const transcoder = new ImageTranscoder();
+    transcoder.encodeImage = async (blob, target) => new window.Blob([new Uint8Array(size)], { type: target.mimeType });
+    return transcoder;
+}
+
+describe('ImageTranscoder', () => {
+    it('转换后变小时使用新格式并更新扩展名', async () => {
+        const { images, stats } = await createTranscoder(40).transcodeImages([createImage('a.png', 100)], { format: 'webp' });
+
+        assert.equal(images[0].fileName, 'a.webp');
+        assert.equal(images[0].mimeType, 'image/webp');
+        assert.equal(stats.convertedFiles, 1);
+        assert.equal(stats.savedBytes, 60);
+        assert.equal(stats.savedRatio, 60);
+    });
+
+    it('转换后变大或是GIF时保留原图', async () => {
+        const { images, stats } = await createTranscoder(200).transcodeImages([
+            createImage('a.png', 100),
+            createImage('b.gif', 100, 'image/gif')
+        ], { format: 'webp' });
+
+        assert.deepEqual(Array.from(images, image => image.fileName), ['a.png', 'b.gif']);
+        assert.equal(stats.keptFiles, 2);
+        assert.equal(stats.savedBytes, 0);
+    });
+
+    it('中止后停止转换', async () => {
+        const controller = new window.AbortController();
+        const converted = [];
+        const progress = (info) => {
+            converted.push(info.fileName);
+            controller.abort();
+        };
+
+        await assert.rejects(
+            createTranscoder(40).transcodeImages([createImage('a.png', 100), createImage('b.png', 100)], { format: 'jpeg' }, progress, controller.signal),
+            { name: 'AbortError' }
+        );
+        assert.deepEqual(converted, ['a.png']);
+    });
+});
\ No newline at end of file
@@ -0,0 +1,203 @@
+// 文件名处理模块测试：数字识别、系列解析、排序、模板命名、重名处理和手动排序
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts } = require('./helpers/loadScripts');
+
+const { NameProcessor } = loadScripts('utils.js', 'nameProcessor.js');
+
+/**
+ * 生成文件对象
+ * @param {string[]} names - 文件名
+ * @param {object[]} metadata - 各文件的元数据（可选）
+ * @returns {object[]} 文件对象数组
+ */
+function createFiles(names, metadata = []) {
+    return names.map((name, index) => ({ id: `file-${index}`, name, metadata: metadata[index] || null }));
+}
+
+describe('NameProcessor', () => {
+    let processor;
+
+    beforeEach(() => {
+        processor = new NameProcessor();
+    });
+
+    /**
+     * 处理文件名并返回输出文件名
+     * @param {object[]} files - 文件对象数组
+     * @returns {string[]} 输出文件名（按排序结果）
+     */
+    const outputNames = (files) => Array.from(processor.processFileNames(files), mapping => mapping.outputName);
+
+    /**
+     * 按当前设置排序并返回文件名
+     * @param {string[]} names - 文件名
+     * @returns {string[]} 排序后的文件名
+     */
+    const sortNames = (names) => Array.from(
+        processor.sortFilesByNumbers(processor.extractNumbers(createFiles(names))),
+        fileObj => fileObj.name
+    );
+
+    describe('数字识别', () => {
+        it('识别中文数字、全角数字和罗马数字', () => {
+            const primary = (name) => processor.getPrimaryNumber(processor.findNumbers(name), name);
+
+            assert.equal(primary('进击的巨人 第二十三卷'), 23);
+            assert.equal(primary('第一百零五话'), 105);
+            assert.equal(primary('第１２巻'), 12);
+            assert.equal(primary('Vol. IV'), 4);
+        });
+
+        it('不把标题中的汉字和英文单词当作数字', () => {
+            assert.equal(processor.findNumbers('三体').length, 0);
+            assert.deepEqual(Array.from(processor.findNumbers('MIX 3'), number => number.value), [3]);
+        });
+
+        it('解析中文数字和罗马数字', () => {
+            assert.equal(processor.parseCjkNumeral('一百零五'), 105);
+            assert.equal(processor.parseCjkNumeral('两千'), 2000);
+            assert.equal(processor.parseRomanNumeral('XIV'), 14);
+            assert.equal(processor.parseRomanNumeral('IIII'), null);
+        });
+    });
+
+    describe('系列解析', () => {
+        it('拆分系列名和卷号', () => {
+            const series = processor.parseSeriesInfo('进击的巨人 第3卷');
+            assert.equal(series.name, '进击的巨人');
+            assert.equal(series.volume, 3);
+            assert.equal(series.volumeType, 'volume');
+        });
+
+        it('识别上/中/下和前編/後編分册', () => {
+            assert.equal(processor.parseSeriesInfo('Berserk 下').part, 3);
+            assert.equal(processor.parseSeriesInfo('Berserk 下').name, 'Berserk');
+            assert.equal(processor.parseSeriesInfo('X 前編').part, 1);
+        });
+    });
+
+    describe('排序', () => {
+        it('按卷号的数值排序', () => {
+            assert.deepEqual(
+                sortNames(['书 第10卷.epub', '书 第2卷.epub', '书 第1卷.epub']),
+                ['书 第1卷.epub', '书 第2卷.epub', '书 第10卷.epub']
+            );
+        });
+
+        it('中文数字卷号按数值排序', () => {
+            assert.deepEqual(
+                sortNames(['书 第十卷.epub', '书 第二卷.epub', '书 第1卷.epub']),
+                ['书 第1卷.epub', '书 第二卷.epub', '书 第十卷.epub']
+            );
+        });
+
+        it('选择EPUB系列信息优先时按OPF系列序号排序', () => {
+            const files = createFiles(['b.epub', 'a.epub', 'c.epub'], [
+                { series: '海贼王', seriesIndex: 3 },
+                { series: '海贼王', seriesIndex: 1 },
+                { series: '海贼王', seriesIndex: 2 }
+            ]);
+            const sortFiles = () => Array.from(processor.sortFilesByNumbers(processor.extractNumbers(files)), fileObj => fileObj.name);
+
+            // 默认只按文件名排序，不需要读取元数据
+            assert.equal(processor.needsMetadata(), false);
+
+            processor.setSortSource('metadata');
+            assert.equal(processor.needsMetadata(), true);
+            assert.deepEqual(sortFiles(), ['a.epub', 'c.epub', 'b.epub']);
+        });
+
+        it('没有卷号的分册按上/中/下排序（按系列分组）', () => {
+            processor.setSeriesGrouping(true, false);
+            assert.deepEqual(
+                sortNames(['Berserk 中.epub', 'Berserk 下.epub', 'Berserk 上.epub']),
+                ['Berserk 上.epub', 'Berserk 中.epub', 'Berserk 下.epub']
+            );
+        });
+
+        it('没有卷号的分册按上/中/下、前編/後編排序（不分组）', () => {
+            const sorted = sortNames(['Berserk 下.epub', 'X 後編.epub', 'Berserk 上.epub', 'Berserk 中.epub', 'X 前編.epub']);
+            const berserk = sorted.filter(name => name.startsWith('Berserk'));
+            const x = sorted.filter(name => name.startsWith('X'));
+
+            assert.deepEqual(berserk, ['Berserk 上.epub', 'Berserk 中.epub', 'Berserk 下.epub']);
+            assert.deepEqual(x, ['X 前編.epub', 'X 後編.epub']);
+        });
+    });
+
+    describe('模板命名', () => {
+        it('填充数字和元数据字段并替换非法字符', () => {
+            processor.setNameTemplate('{num:2} - {title}');
+            const [fileObj] = processor.extractNumbers(createFiles(['Vol.3.epub'], [{ title: 'A/B: "C"?' }]));
+
+            assert.equal(processor.renderTemplate(fileObj, 1, 3), '03 - A_B_ _C__.zip');
+        });
+
+        it('去掉空字段留下的分隔符，全部为空时退回到序号', () => {
+            processor.setNameTemplate('{title} - {creator} - {seq}');
+            const [fileObj] = processor.extractNumbers(createFiles(['x.epub'], [{ title: '标题' }]));
+            assert.equal(processor.renderTemplate(fileObj, 7, 3), '标题 - 007.zip');
+
+            processor.setNameTemplate('{title}');
+            assert.equal(processor.renderTemplate({ ...fileObj, metadata: {} }, 7, 3), '007.zip');
+        });
+
+        it('填充系列名和卷号', () => {
+            processor.setNameTemplate('{series} - {vol:2}');
+            const [fileObj] = processor.extractNumbers(createFiles(['海贼王 Vol.3.epub']));
+
+            assert.equal(processor.renderTemplate(fileObj, 1, 3), '海贼王 - 03.zip');
+        });
+
+        it('默认模板按排序结果编号', () => {
+            assert.deepEqual(outputNames(createFiles(['卷10.epub', '卷2.epub', '卷1.epub'])), ['001.zip', '002.zip', '003.zip']);
+            assert.deepEqual(Array.from(processor.getSortedFiles(), fileObj => fileObj.name), ['卷1.epub', '卷2.epub', '卷10.epub']);
+        });
+
+        it('清理保留设备名和首尾的点号', () => {
+            assert.equal(processor.sanitizeFileName('con', 100), '_con');
+            assert.equal(processor.sanitizeFileName(' . a - ', 100), 'a');
+        });
+
+        it('按UTF-8字节截断时不拆开字符', () => {
+            assert.equal(processor.truncateToBytes('中文字', 7), '中文');
+        });
+    });
+
+    describe('重名处理', () => {
+        it('不区分大小写地为重名文件添加编号', () => {
+            processor.setNameTemplate('{title}');
+            const files = createFiles(['1.epub', '2.epub', '3.epub'], [{ title: 'Book' }, { title: 'book' }, { title: 'Book' }]);
+
+            assert.deepEqual(outputNames(files), ['Book.zip', 'book (2).zip', 'Book (3).zip']);
+        });
+    });
+
+    describe('手动排序', () => {
+        /**
+         * 按手动位置调整排序结果并返回文件名
+         * @param {object[]} files - 文件对象数组
+         * @returns {string[]} 最终顺序的文件名
+         */
+        const orderedNames = (files) => Array.from(
+            processor.applyManualOrder(processor.sortFilesByNumbers(processor.extractNumbers(files))),
+            fileObj => fileObj.name
+        );
+
+        it('拖动过的文件放到指定位置，其余文件按自动顺序填充', () => {
+            const files = createFiles(['1.epub', '2.epub', '3.epub', '4.epub']);
+            Object.assign(files[3], { sequenceOverride: 2, movedAt: 1 });
+
+            assert.deepEqual(orderedNames(files), ['1.epub', '4.epub', '2.epub', '3.epub']);
+        });
+
+        it('锁定的文件优先于拖动过的文件', () => {
+            const files = createFiles(['1.epub', '2.epub', '3.epub', '4.epub']);
+            Object.assign(files[3], { sequenceOverride: 1, locked: true, lockedAt: 1 });
+            Object.assign(files[2], { sequenceOverride: 1, movedAt: 2 });
+
+            assert.deepEqual(orderedNames(files), ['4.epub', '3.epub', '1.epub', '2.epub']);
+        });
+    });
+});
\ No newline at end of file
@@ -0,0 +1,86 @@
+// 输出写入模块测试：流式写入目标文件
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts } = require('./helpers/loadScripts');
+const { jpeg, readZip } = require('./helpers/epub');
+
+const window = loadScripts('utils.js', 'textExporter.js', 'zipGenerator.js', 'pdfGenerator.js', 'outputWriter.js');
+const { OutputWriter, ZipGenerator, PdfGenerator } = window;
+
+/**
+ * 模拟文件句柄：记录写入的数据以及可写流是否被关闭或中止
+ * @returns {object} 文件句柄
+ */
+function createFileHandle() {
+    const handle = { chunks: [], closed: false, aborted: false };
+    handle.createWritable = async () => new WritableStream({
+        write(chunk) {
+            handle.chunks.push(Buffer.from(chunk));
+        },
+        close() {
+            handle.closed = true;
+        },
+        abort() {
+            handle.aborted = true;
+        }
+    });
+    return handle;
+}
+
+/**
+ * 生成测试用图片
+ * @param {number} count - 图片数量
+ * @returns {object[]} 图片数组
+ */
+function createImages(count) {
+    return Array.from({ length: count }, (_, index) => ({
+        fileName: `${index + 1}.jpg`,
+        blob: new window.Blob([jpeg], { type: 'image/jpeg' }),
+        mimeType: 'image/jpeg'
+    }));
+}
+
+describe('OutputWriter', () => {
+    const writer = new OutputWriter(new ZipGenerator(), new PdfGenerator());
+
+    it('提供文件句柄时把ZIP流式写入文件', async () => {
+        const handle = createFileHandle();
+        const output = await writer.pack(createImages(3), 'book.zip', null, { format: 'zip', fileHandle: handle });
+
+        assert.equal(output.savedToDisk, true);
+        assert.equal(handle.closed, true);
+        const data = Buffer.concat(handle.chunks);
+        assert.equal(output.size, data.length);
+
+        const zip = await readZip(new Blob([data]));
+        assert.deepEqual(Object.keys(zip.files).sort(), ['1.jpg', '2.jpg', '3.jpg']);
+    });
+
+    it('写入过程中取消时中止可写流后再返回', async () => {
+        const handle = createFileHandle();
+        const controller = new window.AbortController();
+        const progress = (info) => {
+            if (info.percent !== undefined) controller.abort();
+        };
+
+        await assert.rejects(
+            writer.pack(createImages(3), 'book.zip', progress, { format: 'zip', fileHandle: handle, signal: controller.signal }),
+            { name: 'AbortError' }
+        );
+        assert.equal(handle.aborted, true);
+        assert.equal(handle.closed, false);
+    });
+
+    it('添加图片时取消也会中止可写流', async () => {
+        const handle = createFileHandle();
+        const controller = new window.AbortController();
+        controller.abort();
+
+        await assert.rejects(
+            writer.pack(createImages(3), 'book.zip', null, { format: 'zip', fileHandle: handle, signal: controller.signal }),
+            { name: 'AbortError' }
+        );
+        assert.equal(handle.aborted, true);
+        assert.equal(handle.chunks.length, 0);
+    });
+});
\ No newline at end of file
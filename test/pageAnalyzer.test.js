@@ -0,0 +1,50 @@
+// 页面分析模块测试：空白页和近似重复页标记
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts } = require('./helpers/loadScripts');
+
+const window = loadScripts('utils.js', 'pageAnalyzer.js');
+const { PageAnalyzer } = window;
+
+const hashA = 'f'.repeat(64);
+const hashB = '0'.repeat(64);
+// 与hashA只有4位不同（低于重复阈值）
+const hashNearA = 'e'.repeat(4) + 'f'.repeat(60);
+
+describe('PageAnalyzer', () => {
+    it('标记空白页和同一本书中的重复页', () => {
+        const flags = new PageAnalyzer().flagPages([
+            { originalPath: 'a', hash: hashA, isBlank: false },
+            { originalPath: 'blank', hash: hashB, isBlank: true },
+            { originalPath: 'b', hash: hashB, isBlank: false },
+            { originalPath: 'a2', hash: hashNearA, isBlank: false }
+        ]);
+
+        assert.deepEqual({ ...flags }, { blank: 'blank', a2: 'duplicate' });
+    });
+
+    it('与之前的书中出现过的页面比较', () => {
+        const flags = new PageAnalyzer().flagPages([
+            { originalPath: 'a', hash: hashNearA, isBlank: false },
+            { originalPath: 'b', hash: hashB, isBlank: false }
+        ], [{ hash: hashA }]);
+
+        assert.deepEqual({ ...flags }, { a: 'duplicate' });
+    });
+
+    it('中止后停止分析', async () => {
+        const controller = new window.AbortController();
+        const analyzed = [];
+        const progress = (info) => {
+            analyzed.push(info.fileName);
+            controller.abort();
+        };
+        const images = ['1.jpg', '2.jpg'].map(fileName => ({ originalPath: fileName, fileName, blob: null }));
+
+        await assert.rejects(
+            new PageAnalyzer().analyzeImages(images, progress, controller.signal),
+            { name: 'AbortError' }
+        );
+        assert.deepEqual(analyzed, ['1.jpg']);
+    });
+});
\ No newline at end of file
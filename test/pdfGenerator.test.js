@@ -0,0 +1,59 @@
+// PDF生成模块测试：检查手写的PDF结构
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts } = require('./helpers/loadScripts');
+const { jpeg } = require('./helpers/epub');
+
+const window = loadScripts('utils.js', 'pdfGenerator.js');
+const { PdfGenerator } = window;
+
+/**
+ * 读取PDF为latin1文本（字节偏移与字符位置一致）
+ * @param {Blob} blob - PDF文件
+ * @returns {Promise<string>} PDF内容
+ */
+async function readPdfText(blob) {
+    assert.equal(blob.type, 'application/pdf');
+    return Buffer.from(await blob.arrayBuffer()).toString('latin1');
+}
+
+describe('PdfGenerator', () => {
+    const generator = new PdfGenerator();
+    const page = { data: jpeg, width: 30, height: 20, components: 3, isAdobeCmyk: false };
+
+    it('读取JPEG尺寸和通道数', () => {
+        assert.deepEqual({ ...generator.readJpegInfo(jpeg) }, { width: 30, height: 20, components: 3, isAdobeCmyk: false });
+        assert.equal(generator.readJpegInfo(Uint8Array.from([0x89, 0x50])), null);
+    });
+
+    it('交叉引用表中的偏移量指向对应的对象', async () => {
+        const pdf = await readPdfText(generator.writePdf([page, page], { title: '标题' }));
+        const xrefPosition = parseInt(/startxref\n(\d+)\n%%EOF\n$/.exec(pdf)[1], 10);
+        assert.ok(pdf.startsWith('xref\n', xrefPosition));
+
+        const [, count] = /^xref\n0 (\d+)\n/.exec(pdf.slice(xrefPosition));
+        const offsets = pdf.slice(xrefPosition).match(/^\d{10} 00000 n $/gm).map(line => parseInt(line, 10));
+        assert.equal(offsets.length, Number(count) - 1);
+        offsets.forEach((offset, index) => {
+            assert.ok(pdf.startsWith(`${index + 1} 0 obj\n`, offset), `对象 ${index + 1} 的偏移量错误`);
+        });
+    });
+
+    it('每张图片一页，页面尺寸按96dpi换算', async () => {
+        const images = [1, 2].map(index => ({
+            fileName: `${index}.jpg`,
+            mimeType: 'image/jpeg',
+            blob: new window.Blob([jpeg], { type: 'image/jpeg' })
+        }));
+        const pdf = await readPdfText(await generator.generatePdfFromImages(images, 'book.pdf'));
+
+        assert.match(pdf, /\/Type \/Pages \/Kids \[4 0 R 7 0 R\] \/Count 2/);
+        assert.match(pdf, /\/MediaBox \[0 0 22\.5 15\]/);
+        assert.match(pdf, /\/Width 30 \/Height 20 \/ColorSpace \/DeviceRGB .*\/Length 21 >>/);
+    });
+
+    it('文档信息使用UTF-16BE编码（包括代理对）', () => {
+        assert.equal(generator.encodeText('中A😀'), '<FEFF4E2D0041D83DDE00>');
+        assert.match(generator.buildInfoDictionary({ title: '中' }), /\/Title <FEFF4E2D>/);
+    });
+});
\ No newline at end of file
@@ -0,0 +1,82 @@
+// 跨页处理模块测试：拆分和合并时按阅读方向排列
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts } = require('./helpers/loadScripts');
+
+const window = loadScripts('utils.js', 'spreadProcessor.js');
+const { SpreadProcessor } = window;
+
+/**
+ * 生成测试用图片（尺寸记录在blob上，由模拟的解码读取）
+ * @param {string} fileName - 文件名
+ * @param {number} width - 宽度
+ * @param {number} height - 高度
+ * @returns {object} 图片对象
+ */
+function createImage(fileName, width, height) {
+    const blob = new window.Blob([fileName], { type: 'image/jpeg' });
+    blob.dimensions = { width, height, name: fileName };
+    return { originalPath: fileName, fileName, blob, mimeType: 'image/jpeg', unreferenced: false };
+}
+
+/**
+ * 生成不依赖Canvas的处理器：记录每个画布由哪些区域组成
+ * @returns {SpreadProcessor} 跨页处理器
+ */
+function createProcessor() {
+    const processor = new SpreadProcessor();
+    processor.decode = async (blob) => ({ ...blob.dimensions, close() {} });
+    processor.drawRegion = (bitmap, x) => ({ parts: [`${bitmap.name}@${x}`] });
+    processor.createCanvas = () => {
+        const parts = [];
+        return { parts, getContext: () => ({ fillRect() {}, drawImage: (bitmap) => parts.push(bitmap.name) }) };
+    };
+    processor.encodeCanvas = async (canvas) => {
+        const blob = new window.Blob([canvas.parts.join('+')], { type: 'image/jpeg' });
+        blob.parts = canvas.parts.join('+');
+        return blob;
+    };
+    return processor;
+}
+
+describe('SpreadProcessor', () => {
+    it('从右到左阅读时拆分后右半页在前', async () => {
+        const images = [createImage('spread.jpg', 200, 100), createImage('page.jpg', 100, 150)];
+        const { images: pages, stats } = await createProcessor().processSpreads(images, { split: true, direction: 'rtl' });
+
+        assert.deepEqual(Array.from(pages, page => [page.fileName, page.spreadHalf || null, page.pageNumber]), [
+            ['spread_1.jpg', 'right', 1],
+            ['spread_2.jpg', 'left', 2],
+            ['page.jpg', null, 3]
+        ]);
+        assert.equal(stats.split, 1);
+    });
+
+    it('从左到右阅读时合并的第一页放在左侧', async () => {
+        const images = [createImage('a.jpg', 100, 150), createImage('b.jpg', 100, 150)];
+        const processor = createProcessor();
+
+        const ltr = await processor.processSpreads(images, { mergePages: ['a.jpg'], direction: 'ltr' });
+        const rtl = await processor.processSpreads(images, { mergePages: ['a.jpg'], direction: 'rtl' });
+
+        assert.equal(ltr.images.length, 1);
+        assert.equal(ltr.images[0].blob.parts, 'a.jpg+b.jpg');
+        assert.equal(rtl.images[0].blob.parts, 'b.jpg+a.jpg');
+    });
+
+    it('中止后停止处理', async () => {
+        const controller = new window.AbortController();
+        const processed = [];
+        const progress = (info) => {
+            processed.push(info.fileName);
+            controller.abort();
+        };
+        const images = [createImage('a.jpg', 100, 150), createImage('b.jpg', 100, 150)];
+
+        await assert.rejects(
+            createProcessor().processSpreads(images, { split: true }, progress, controller.signal),
+            { name: 'AbortError' }
+        );
+        assert.deepEqual(processed, ['a.jpg']);
+    });
+});
\ No newline at end of file
@@ -0,0 +1,47 @@
+// 正文导出模块测试：章节文件命名和各格式内容
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts } = require('./helpers/loadScripts');
+
+const { TextExporter } = loadScripts('utils.js', 'textExporter.js');
+
+describe('TextExporter', () => {
+    const exporter = new TextExporter();
+    const chapter = {
+        title: '第1章: 开始',
+        blocks: [
+            { type: 'heading', level: 1, text: '第1章: 开始' },
+            { type: 'paragraph', text: '*强调* <b>&\n第二行' },
+            { type: 'image', path: 'OEBPS/i.jpg', alt: '插图' },
+            { type: 'image', path: 'OEBPS/missing.jpg', alt: '' }
+        ]
+    };
+    const imageEntries = new Map([['OEBPS/i.jpg', ['images/001 a.jpg']]]);
+
+    it('按序号和清理后的标题命名章节文件', () => {
+        const files = exporter.buildFiles([chapter, { title: '', blocks: [] }], 'txt', imageEntries);
+        assert.deepEqual(Array.from(files, file => file.path), ['text/01 第1章_ 开始.txt', 'text/02.txt']);
+    });
+
+    it('生成Markdown：转义特殊字符，插图使用相对链接，已不在输出中的插图省略', () => {
+        const [file] = exporter.buildFiles([chapter], 'md', imageEntries);
+        assert.equal(file.content,
+            '# 第1章: 开始\n\n\\*强调\\* \\<b\\>&\\\n第二行\n\n![插图](../images/001%20a.jpg)\n');
+    });
+
+    it('生成HTML：转义文本，不重复输出章节标题', () => {
+        const [file] = exporter.buildFiles([chapter], 'html', imageEntries);
+        assert.match(file.content, /<h1>第1章: 开始<\/h1>\n<p>\*强调\* &lt;b&gt;&amp;<br>第二行<\/p>/);
+        assert.match(file.content, /<img src="\.\.\/images\/001%20a\.jpg" alt="插图">/);
+        assert.equal(file.content.match(/<h\d>/g).length, 1);
+    });
+
+    it('生成纯文本', () => {
+        const [file] = exporter.buildFiles([chapter], 'txt', imageEntries);
+        assert.equal(file.content, '第1章: 开始\n\n*强调* <b>&\n第二行\n\n[插图: ../images/001 a.jpg]\n');
+    });
+
+    it('不支持的格式抛出错误', () => {
+        assert.throws(() => exporter.buildFiles([chapter], 'docx', imageEntries), /不支持的正文格式/);
+    });
+});
\ No newline at end of file
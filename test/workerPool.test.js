@@ -0,0 +1,92 @@
+// Worker池模块测试：Worker崩溃和终止时的任务处理
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts } = require('./helpers/loadScripts');
+
+const window = loadScripts('utils.js', 'workerPool.js');
+const { WorkerPool } = window;
+
+// 模拟Worker：记录收到的任务，由测试触发消息和错误
+class FakeWorker {
+    constructor() {
+        this.jobs = [];
+        this.terminated = false;
+        FakeWorker.instances.push(this);
+    }
+
+    postMessage(message) {
+        if (message.type === 'job') this.jobs.push(message);
+    }
+
+    terminate() {
+        this.terminated = true;
+    }
+
+    send(message) {
+        this.onmessage({ data: message });
+    }
+
+    crash(message) {
+        this.onerror({ message, preventDefault() {} });
+    }
+}
+
+window.Worker = FakeWorker;
+
+describe('WorkerPool', () => {
+    let pool;
+
+    beforeEach(() => {
+        FakeWorker.instances = [];
+        pool = new WorkerPool('worker.js', 2);
+    });
+
+    it('已加载的Worker崩溃时只替换该Worker', async () => {
+        const first = pool.run('parse', {});
+        const second = pool.run('parse', {});
+        const third = pool.run('parse', {});
+        const [crashed, healthy] = FakeWorker.instances;
+        crashed.send({ type: 'ready' });
+        healthy.send({ type: 'ready' });
+
+        crashed.crash('内存不足');
+        await assert.rejects(first, error => error.workerUnavailable === true);
+        assert.equal(pool.isDisabled, false);
+        assert.equal(crashed.terminated, true);
+
+        // 排队的任务由新建的Worker执行，其它任务不受影响
+        const replacement = FakeWorker.instances[2];
+        assert.equal(replacement.jobs.length, 1);
+        replacement.send({ type: 'done', jobId: replacement.jobs[0].jobId, result: 3 });
+        healthy.send({ type: 'done', jobId: healthy.jobs[0].jobId, result: 2 });
+        assert.equal(await second, 2);
+        assert.equal(await third, 3);
+    });
+
+    it('Worker脚本无法加载时停用整个池', async () => {
+        const first = pool.run('parse', {});
+        const second = pool.run('parse', {});
+        const queued = pool.run('parse', {});
+
+        FakeWorker.instances[0].crash('脚本加载失败');
+        await assert.rejects(first, error => error.workerUnavailable === true);
+        await assert.rejects(queued, error => error.workerUnavailable === true);
+        assert.equal(pool.isDisabled, true);
+
+        pool.terminate();
+        await assert.rejects(second, error => error.workerUnavailable === true);
+        await assert.rejects(pool.run('parse', {}), error => error.workerUnavailable === true);
+    });
+
+    it('终止时未完成的任务可回退到主线程', async () => {
+        const running = pool.run('parse', {});
+        const queued = [pool.run('parse', {}), pool.run('parse', {})];
+
+        pool.terminate();
+        await assert.rejects(running, error => error.workerUnavailable === true);
+        for (const job of queued) {
+            await assert.rejects(job, error => error.workerUnavailable === true);
+        }
+        assert.ok(FakeWorker.instances.every(worker => worker.terminated));
+    });
+});
\ No newline at end of file
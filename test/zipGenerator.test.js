@@ -0,0 +1,215 @@
+// ZIP生成模块测试：检查生成的压缩包内容
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts } = require('./helpers/loadScripts');
+const { jpeg, readZip } = require('./helpers/epub');
+
+const window = loadScripts('utils.js', 'textExporter.js', 'zipGenerator.js');
+const { ZipGenerator } = window;
+
+/**
+ * 从中央目录读取各条目的压缩方式（0为STORE，8为DEFLATE）
+ * @param {Blob} blob - 压缩包
+ * @returns {Promise<object>} 条目名 -> 压缩方式
+ */
+async function readCompressionMethods(blob) {
+    const data = Buffer.from(await blob.arrayBuffer());
+    const methods = {};
+    let offset = data.lastIndexOf(Buffer.from([0x50, 0x4B, 0x05, 0x06]));
+    offset = data.readUInt32LE(offset + 16);
+
+    while (data.readUInt32LE(offset) === 0x02014B50) {
+        const nameLength = data.readUInt16LE(offset + 28);
+        const extraLength = data.readUInt16LE(offset + 30);
+        const commentLength = data.readUInt16LE(offset + 32);
+        methods[data.toString('utf8', offset + 46, offset + 46 + nameLength)] = data.readUInt16LE(offset + 10);
+        offset += 46 + nameLength + extraLength + commentLength;
+    }
+    return methods;
+}
+
+/**
+ * 生成测试用图片
+ * @param {string} fileName - 文件名
+ * @param {object} extra - 附加属性
+ * @returns {object} 图片对象
+ */
+function createImage(fileName, extra = {}) {
+    return {
+        originalPath: `OEBPS/Images/${fileName}`,
+        fileName,
+        blob: new window.Blob([jpeg], { type: 'image/jpeg' }),
+        mimeType: 'image/jpeg',
+        unreferenced: false,
+        ...extra
+    };
+}
+
+describe('ZipGenerator', () => {
+    it('未被页面引用的图片放在单独目录中', async () => {
+        const images = [
+            createImage('b.jpg', { pageNumber: 1 }),
+            createImage('a.jpg', { pageNumber: 2 }),
+            createImage('0-extra.jpg', { pageNumber: 3, unreferenced: true })
+        ];
+        const zip = await readZip(await new ZipGenerator().generateZipFromImages(images, 'book.zip'));
+
+        assert.deepEqual(Object.keys(zip.files).sort(), ['_unreferenced/', '_unreferenced/0-extra.jpg', 'a.jpg', 'b.jpg']);
+    });
+
+    it('不打包预览中取消选择的页面', async () => {
+        const images = [createImage('a.jpg'), createImage('b.jpg'), createImage('c.jpg')];
+        const blob = await new ZipGenerator().generateZipFromImages(images, 'book.zip', null, { excludedPages: ['OEBPS/Images/b.jpg'] });
+
+        assert.deepEqual(Object.keys((await readZip(blob)).files).sort(), ['a.jpg', 'c.jpg']);
+    });
+
+    it('同时导出正文时图片和正文分别放在images和text目录', async () => {
+        const chapters = [{ title: '第一章', blocks: [{ type: 'paragraph', text: '正文' }, { type: 'image', path: 'OEBPS/Images/a.jpg', alt: '' }] }];
+        const blob = await new ZipGenerator().generateZipFromImages([createImage('a.jpg')], 'book.zip', null, { textChapters: chapters, textFormat: 'md' });
+        const zip = await readZip(blob);
+
+        assert.deepEqual(Object.keys(zip.files).filter(name => !name.endsWith('/')).sort(), ['images/a.jpg', 'text/01 第一章.md']);
+        assert.equal(await zip.file('text/01 第一章.md').async('text'), '# 第一章\n\n正文\n\n![](../images/a.jpg)\n');
+    });
+
+    it('按章节分文件夹，不属于章节的页面留在根目录', async () => {
+        const images = [
+            createImage('cover.jpg', { chapterIndex: null, chapterTitle: '' }),
+            createImage('a.jpg', { chapterIndex: 0, chapterTitle: '第一话: 出发' }),
+            createImage('b.jpg', { chapterIndex: 1, chapterTitle: '' })
+        ];
+        const generator = new ZipGenerator();
+
+        const folders = await readZip(await generator.generateZipFromImages(images, 'book.zip', null, { chapterFolders: true }));
+        const flat = await readZip(await generator.generateZipFromImages(images, 'book.zip', null, { chapterFolders: false }));
+        const fileNames = (zip) => Object.keys(zip.files).filter(name => !name.endsWith('/')).sort();
+
+        assert.deepEqual(fileNames(folders), ['01 - 第一话_ 出发/a.jpg', '02/b.jpg', 'cover.jpg']);
+        assert.deepEqual(fileNames(flat), ['a.jpg', 'b.jpg', 'cover.jpg']);
+    });
+
+    it('默认保留原文件名，不写入对照表', async () => {
+        const zip = await readZip(await new ZipGenerator().generateZipFromImages([createImage('f3a9.jpg'), createImage('0b12.jpg')], 'book.zip'));
+
+        assert.deepEqual(Object.keys(zip.files).sort(), ['0b12.jpg', 'f3a9.jpg']);
+    });
+
+    it('按阅读顺序重命名页面并写入对照表，封面为0000', async () => {
+        const images = [
+            createImage('cover.jpg', { isCover: true }),
+            createImage('f3a9.jpg'),
+            createImage('0b12.png', { mimeType: 'image/png' }),
+            createImage('extra.jpg', { unreferenced: true })
+        ];
+        const zip = await readZip(await new ZipGenerator().generateZipFromImages(images, 'book.zip', null, { renamePages: true }));
+        const manifest = JSON.parse(await zip.file('pages.json').async('text'));
+
+        assert.deepEqual(Object.keys(zip.files).filter(name => !name.endsWith('/')).sort(),
+            ['0000.jpg', '0001.jpg', '0002.png', '_unreferenced/extra.jpg', 'pages.json']);
+        assert.deepEqual(manifest.pages, [
+            { file: '0000.jpg', source: 'OEBPS/Images/cover.jpg' },
+            { file: '0001.jpg', source: 'OEBPS/Images/f3a9.jpg' },
+            { file: '0002.png', source: 'OEBPS/Images/0b12.png' },
+            { file: '_unreferenced/extra.jpg', source: 'OEBPS/Images/extra.jpg', unreferenced: true }
+        ]);
+    });
+
+    it('没有封面时从0001开始编号', async () => {
+        const zip = await readZip(await new ZipGenerator().generateZipFromImages([createImage('b.jpg'), createImage('a.jpg')], 'book.zip', null, { renamePages: true }));
+        const manifest = JSON.parse(await zip.file('pages.json').async('text'));
+
+        assert.deepEqual(manifest.pages.map(page => page.file), ['0001.jpg', '0002.jpg']);
+    });
+
+    it('中止后停止打包', async () => {
+        const images = Array.from({ length: 5 }, (_, index) => createImage(`${index}.jpg`));
+        const controller = new window.AbortController();
+        const added = [];
+        const progress = (info) => {
+            if (info.status !== 'adding') return;
+            added.push(info.fileName);
+            if (added.length === 2) controller.abort();
+        };
+
+        await assert.rejects(
+            new ZipGenerator().generateZipFromImages(images, 'book.zip', progress, { signal: controller.signal }),
+            { name: 'AbortError' }
+        );
+        assert.deepEqual(added, ['0.jpg', '1.jpg']);
+    });
+
+    it('压缩过程中中止时不再继续生成', async () => {
+        const controller = new window.AbortController();
+        const progress = (info) => {
+            if (info.percent !== undefined) controller.abort();
+        };
+
+        await assert.rejects(
+            new ZipGenerator().generateZipFromImages([createImage('a.jpg')], 'book.zip', progress, { signal: controller.signal }),
+            { name: 'AbortError' }
+        );
+    });
+
+    describe('CBZ', () => {
+        const metadata = { title: 'Tom & Jerry', creator: '作者', publisher: '出版社', language: 'ja', date: '2019-05-02' };
+
+        it('写入ComicInfo.xml，字段按架构顺序排列', async () => {
+            const images = [createImage('b.jpg'), createImage('a.jpg')];
+            const blob = await new ZipGenerator().generateZipFromImages(images, 'book.cbz', null, { format: 'cbz', metadata });
+            assert.equal(blob.type, 'application/vnd.comicbook+zip');
+
+            const comicInfo = await (await readZip(blob)).file('ComicInfo.xml').async('text');
+            const fields = comicInfo.match(/^  <(\w+)>/gm).map(field => field.trim());
+            assert.deepEqual(fields, ['<Title>', '<Year>', '<Month>', '<Day>', '<Writer>', '<Publisher>', '<PageCount>', '<LanguageISO>', '<Pages>']);
+            assert.match(comicInfo, /<Title>Tom &amp; Jerry<\/Title>/);
+            assert.match(comicInfo, /<Page Image="0" Type="FrontCover" ImageSize="\d+" \/>\n    <Page Image="1" ImageSize/);
+        });
+
+        it('写入OPF中的系列名和系列序号', async () => {
+            const seriesMetadata = { ...metadata, series: '海贼王', seriesIndex: 2 };
+            const blob = await new ZipGenerator().generateZipFromImages([createImage('a.jpg')], 'book.cbz', null, { format: 'cbz', metadata: seriesMetadata });
+            const comicInfo = await (await readZip(blob)).file('ComicInfo.xml').async('text');
+
+            assert.match(comicInfo, /<Title>Tom &amp; Jerry<\/Title>\n  <Series>海贼王<\/Series>\n  <Number>2<\/Number>/);
+        });
+
+        it('按创作者角色写入画师、封面和编辑', async () => {
+            const roleMetadata = {
+                ...metadata,
+                creators: [{ name: '作者', role: 'aut' }, { name: '画师', role: 'ill' }],
+                contributors: [{ name: '封面画师', role: 'cov' }, { name: '译者', role: 'trl' }],
+                subjects: ['漫画', '冒险']
+            };
+            const blob = await new ZipGenerator().generateZipFromImages([createImage('a.jpg')], 'book.cbz', null, { format: 'cbz', metadata: roleMetadata });
+            const comicInfo = await (await readZip(blob)).file('ComicInfo.xml').async('text');
+
+            assert.match(comicInfo, /<Penciller>画师<\/Penciller>\n  <CoverArtist>封面画师<\/CoverArtist>/);
+            assert.match(comicInfo, /<Genre>漫画, 冒险<\/Genre>/);
+            assert.doesNotMatch(comicInfo, /Translator/);
+        });
+
+        it('不包含未被页面引用的图片，页数与页面列表一致', async () => {
+            const images = [createImage('b.jpg'), createImage('a.jpg'), createImage('extra.jpg', { unreferenced: true })];
+            const zip = await readZip(await new ZipGenerator().generateZipFromImages(images, 'book.cbz', null, { format: 'cbz', metadata }));
+
+            assert.deepEqual(Object.keys(zip.files).sort(), ['ComicInfo.xml', 'a.jpg', 'b.jpg']);
+            const comicInfo = await zip.file('ComicInfo.xml').async('text');
+            assert.match(comicInfo, /<PageCount>2<\/PageCount>/);
+            assert.equal(comicInfo.match(/<Page /g).length, 2);
+        });
+    });
+
+    it('已压缩的图片直接存储，其它文件使用DEFLATE', async () => {
+        const images = [
+            createImage('1.jpg'),
+            createImage('2.png', { mimeType: 'image/png' }),
+            createImage('3.bmp', { mimeType: 'image/bmp' })
+        ];
+        const methods = await readCompressionMethods(
+            await new ZipGenerator().generateZipFromImages(images, 'book.cbz', null, { format: 'cbz' })
+        );
+
+        assert.deepEqual(methods, { '1.jpg': 0, '2.png': 0, '3.bmp': 8, 'ComicInfo.xml': 8 });
+    });
+});
\ No newline at end of file